@@ -1,26 +1,35 @@
 #!/usr/bin/env node
 /**
- * update.mjs — Fetches jobs from wagey.gg API and generates markdown for GitHub repos.
+ * publish-github-jobs.mjs — Fetches jobs from wagey.gg API and generates markdown for GitHub repos.
  *
  * Usage:
- *   node scripts/update.mjs                          # Production (wagey.gg)
- *   node scripts/update.mjs --dry-run                # Print stats, don't write files
- *   API_BASE_URL=https://localhost:4242 node scripts/update.mjs  # Local dev
+ *   node scripts/publish-github-jobs.mjs                        # Production (wagey.gg)
+ *   node scripts/publish-github-jobs.mjs --dry-run              # Print stats, don't write files
+ *   node scripts/publish-github-jobs.mjs --fixture jobs.ndjson  # Read recorded NDJSON instead of calling the API
+ *   node scripts/publish-github-jobs.mjs --force                # Publish even when the guardrails flag an anomaly
+ *   node scripts/publish-github-jobs.mjs --full                 # Ignore the fetch cache and download every job
+ *   node scripts/publish-github-jobs.mjs --commit               # Also commit each target repo (--push: and push them)
+ *   API_BASE_URL=https://localhost:4242 node scripts/publish-github-jobs.mjs  # Local dev
  *
  * Environment:
  *   API_BASE_URL    — Base URL of the wagey.gg API (default: https://wagey.gg)
  *   SYSTEM_USER_ID  — User ID for API auth (default: system_github_publish)
+ *   PUBLISH_CONFIG  — Path to the publish targets config (default: publish.config.json)
+ *   FETCH_CACHE     — Snapshot cache for incremental fetches (default: .cache/matching-data.ndjson)
+ *   README_TEMPLATES — Directory of README template overrides (default: none — scripts/templates/ only)
  *
- * Writes to sibling repo directories:
- *   ../wagey-gg-remote-tech-jobs/      (this repo — WW + NA + LATAM)
- *   ../wagey-gg-remote-tech-emea-jobs/ (EMEA)
- *   ../wagey-gg-remote-tech-apac-jobs/ (APAC)
+ * Writes one README + data/ per target in publish.config.json — scripts/README.md describes the config
+ * and every generated file.
+ *
+ * Tests: node --test scripts/test/*.test.mjs   (UPDATE_GOLDEN=1 to rewrite README snapshots)
  */
 
-import { writeFileSync, mkdirSync } from 'fs';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
-import { execSync } from 'child_process';
+import { createReadStream, existsSync, readFileSync, readdirSync, writeFileSync, mkdirSync, renameSync, rmSync, unlinkSync } from 'fs';
+import { join, dirname, resolve } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { execSync, execFileSync } from 'child_process';
+import { createRequire } from 'module';
+import { tmpdir } from 'os';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const ROOT = join(__dirname, '..');
@@ -28,23 +37,134 @@ const ROOT = join(__dirname, '..');
 const API_BASE = process.env.API_BASE_URL || 'https://wagey.gg';
 const USER_ID = process.env.SYSTEM_USER_ID || 'system_github_publish';
 const DRY_RUN = process.argv.includes('--dry-run');
+const FORCE = process.argv.includes('--force');
+const FULL_FETCH = process.argv.includes('--full');
+const PUSH = process.argv.includes('--push');
+const COMMIT = PUSH || process.argv.includes('--commit');
+const FIXTURE = argValue('--fixture');
 const REF = 'github';
 
+/** Value following a CLI flag, e.g. argValue('--fixture') for `--fixture jobs.ndjson` */
+function argValue(flag) {
+  const i = process.argv.indexOf(flag);
+  return i !== -1 ? process.argv[i + 1] : null;
+}
+
 // ============================================================================
-// REPO PATHS
+// PUBLISH TARGETS (publish.config.json)
 // ============================================================================
 
-const REPOS = {
-  main: ROOT,
-  emea: join(ROOT, '..', 'wagey-gg-remote-tech-emea-jobs'),
-  apac: join(ROOT, '..', 'wagey-gg-remote-tech-apac-jobs'),
-};
+const CONFIG_PATH = process.env.PUBLISH_CONFIG || join(ROOT, 'publish.config.json');
+const TEMPLATES = ['main', 'region'];
+const REQUIRED_TARGET_KEYS = ['id', 'path', 'url', 'template', 'commitMessage'];
+
+const QUALITY_DEFAULTS = { maxRejectRate: 0.05 };
+const ALERTS_DEFAULTS = { searches: 'saved-searches.json', outDir: 'alerts' };
+
+/** Load publish.config.json → { targets, quality, guardrails, freshness, git, alerts } */
+function loadConfig(configPath) {
+  const config = JSON.parse(readFileSync(configPath, 'utf-8'));
+  const alerts = { ...ALERTS_DEFAULTS, ...config.alerts };
+  return {
+    targets: parseTargets(config, configPath),
+    quality: { ...QUALITY_DEFAULTS, ...config.quality },
+    guardrails: { ...GUARDRAIL_DEFAULTS, ...config.guardrails },
+    freshness: parseFreshness(config, configPath),
+    git: { ...GIT_DEFAULTS, ...config.git },
+    alerts: {
+      searches: process.env.SAVED_SEARCHES || resolve(dirname(configPath), alerts.searches),
+      outDir: resolve(dirname(configPath), alerts.outDir),
+    },
+  };
+}
 
-const GITHUB_REPOS = {
-  main: 'https://github.com/7-of-9/wagey-gg-remote-tech-jobs',
-  emea: 'https://github.com/7-of-9/wagey-gg-remote-tech-emea-jobs',
-  apac: 'https://github.com/7-of-9/wagey-gg-remote-tech-apac-jobs',
-};
+/** Validate publish targets — paths resolve relative to the config file */
+function parseTargets(config, configPath) {
+  const targets = config.targets || [];
+  if (targets.length === 0) throw new Error(`${configPath}: no targets defined`);
+
+  const seen = new Set();
+  return targets.map(t => {
+    for (const key of REQUIRED_TARGET_KEYS) {
+      if (!t[key]) throw new Error(`${configPath}: target "${t.id || '?'}" is missing "${key}"`);
+    }
+    if (!TEMPLATES.includes(t.template)) {
+      throw new Error(`${configPath}: target "${t.id}" has unknown template "${t.template}" (expected ${TEMPLATES.join(' or ')})`);
+    }
+    if (seen.has(t.id)) throw new Error(`${configPath}: duplicate target id "${t.id}"`);
+    seen.add(t.id);
+    if (t.sort && !SORT_MODES.includes(t.sort)) {
+      throw new Error(`${configPath}: target "${t.id}" has unknown sort "${t.sort}" (expected ${SORT_MODES.join(' or ')})`);
+    }
+    for (const [key, weight] of Object.entries(t.ranking || {})) {
+      if (!(key in RANK_WEIGHTS)) throw new Error(`${configPath}: target "${t.id}" has unknown ranking weight "${key}"`);
+      if (typeof weight !== 'number' || weight < 0) throw new Error(`${configPath}: target "${t.id}" ranking weight "${key}" must be a non-negative number`);
+    }
+
+    return {
+      ...t,
+      name: t.name || t.id,
+      label: t.label || t.name || t.id,
+      path: resolve(dirname(configPath), t.path),
+      sections: t.sections || [],
+      filter: t.filter || {},
+      feeds: t.feeds === true ? {} : t.feeds || null,
+      pages: t.pages === true ? {} : t.pages || null,
+      companies: t.companies === true ? {} : t.companies || null,
+      site: t.site === true ? {} : t.site || null,
+      exports: parseExports(t, configPath),
+      pageSize: t.pageSize || PAGE_SIZE,
+      sort: t.sort || 'fresh',
+      ranking: { ...RANK_WEIGHTS, ...t.ranking },
+      topJobs: t.topJobs === true ? {} : t.topJobs || null,
+    };
+  });
+}
+
+/** A target's "exports" ({formats} or true) → {formats} or null, rejecting unknown formats */
+function parseExports(t, configPath) {
+  if (!t.exports) return null;
+  const exports = { ...EXPORT_DEFAULTS, ...(t.exports === true ? {} : t.exports) };
+  for (const format of exports.formats) {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new Error(`${configPath}: target "${t.id}" has unknown export format "${format}" (expected ${EXPORT_FORMATS.join(', ')})`);
+    }
+  }
+  return exports;
+}
+
+/** Does a job satisfy a declarative filter? An empty filter matches everything */
+function matchesFilter(job, filter) {
+  if (filter.regions && !filter.regions.includes(jobRegion(job))) return false;
+  if (filter.seniority) {
+    const seniority = (job.seniority || '').toLowerCase();
+    if (!filter.seniority.some(s => s.toLowerCase() === seniority)) return false;
+  }
+  if (filter.skills && !hasAnySkill(parseSkills(job.skills), filter.skills)) return false;
+  if (filter.minSalary && salarySort(job) < filter.minSalary) return false;
+  return true;
+}
+
+/** Jobs published by a target — region filters draw from the cleaned region groups, others from the full feed */
+function selectTargetJobs(target, jobs, groups) {
+  const pool = target.filter.regions
+    ? target.filter.regions.flatMap(code => groups[code] || [])
+    : jobs;
+  return pool.filter(job => matchesFilter(job, target.filter));
+}
+
+/** Jobs a target lists in its tables — drawn from the cleaned region groups (no garbage or non-remote WW) */
+function listedJobs(target, groups) {
+  return (target.filter.regions || Object.keys(groups))
+    .flatMap(code => groups[code] || [])
+    .filter(job => matchesFilter(job, target.filter));
+}
+
+/** The target that publishes exactly one region, if any (used to link off-page regions) */
+function regionOwner(code, targets) {
+  return targets.find(t => t.filter.regions?.length === 1 && t.filter.regions[0] === code
+    && Object.keys(t.filter).length === 1);
+}
 
 // ============================================================================
 // HELPERS
@@ -55,10 +175,10 @@ function slugify(text) {
   return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 80);
 }
 
-/** Build wagey.gg job URL */
-function jobUrl(job) {
+/** Build wagey.gg job URL — `ref` null leaves the tracking tag off (README templates add their own) */
+function jobUrl(job, ref = REF) {
   const slug = slugify(`${job.title} at ${job.company}`);
-  return `https://wagey.gg/jobs/${job.id}${slug ? '-' + slug : ''}?ref=${REF}`;
+  return `https://wagey.gg/jobs/${job.id}${slug ? '-' + slug : ''}${ref ? `?ref=${ref}` : ''}`;
 }
 
 /** Format date as d-Mon-YYYY */
@@ -81,39 +201,47 @@ function fmtDateTime(dateStr) {
   return `${d.getUTCDate()}-${months[d.getUTCMonth()]}-${d.getUTCFullYear()} ${hh}:${mm} UTC`;
 }
 
-/** Format salary for display — always use annualized numeric values */
+/** Format salary for display — original currency/period first, annualized USD in brackets when they differ */
 function fmtSalary(job) {
-  if (job.salaryMin && job.salaryMax && job.salaryMin === job.salaryMax) {
-    return `${fmtK(job.salaryMin)}/year`;
-  }
-  if (job.salaryMin && job.salaryMax) {
-    return `${fmtK(job.salaryMin)}–${fmtK(job.salaryMax)}/year`;
-  }
-  if (job.salaryMin) return `${fmtK(job.salaryMin)}+/year`;
-  if (job.salaryMax) return `${fmtK(job.salaryMax)}/year`;
+  const m = salaryModel(job);
+  if (!m) return '';
+  const usd = fmtRange(m.annualUsdMin, m.annualUsdMax, '$');
+  if (m.currency === 'USD' && m.period === 'year') return usd ? `${usd}/year` : '';
+
+  const original = fmtRange(m.min, m.max, currencySymbol(m.currency));
+  if (!original) return usd ? `${usd}/year` : '';
+  const originalPart = m.period === 'year' ? original : `${original}/${m.period}`;
+  if (!usd) return originalPart;
+  return `${originalPart} (~${usd}${m.period === 'year' ? '' : '/year'})`;
+}
+
+/** "$140k–$180k", "$200k", "$60k+" — same shapes the API's min/max combinations produce */
+function fmtRange(min, max, symbol) {
+  if (min && max && min === max) return fmtMoney(min, symbol);
+  if (min && max) return `${fmtMoney(min, symbol)}–${fmtMoney(max, symbol)}`;
+  if (min) return `${fmtMoney(min, symbol)}+`;
+  if (max) return fmtMoney(max, symbol);
   return '';
 }
 
+function fmtMoney(n, symbol) {
+  if (n >= 1000) return `${symbol}${Math.round(n / 1000)}k`;
+  return `${symbol}${n}`;
+}
+
 function fmtK(n) {
-  if (n >= 1000) return `$${Math.round(n / 1000)}k`;
-  return `$${n}`;
+  return fmtMoney(n, '$');
 }
 
-/** Parse "Python(0.95), AWS(0.80)" → ["Python", "AWS"] */
-function parseSkills(str) {
+/** Raw parse, no taxonomy: "Python(0.95), AWS" → [{name: "Python", confidence: 0.95}, {name: "AWS", confidence: null}] */
+function parseSkillScores(str) {
   if (!str) return [];
   return str.split(',').map(s => {
-    const m = s.trim().match(/^(.+?)(?:\([^)]+\))?$/);
-    return m ? m[1].trim() : s.trim();
-  }).filter(Boolean);
-}
-
-/** Top N skills as compact string */
-function topSkills(job, n = 3) {
-  const skills = parseSkills(job.skills);
-  if (skills.length === 0) return '';
-  const shown = skills.slice(0, n);
-  return shown.join(', ') + (skills.length > n ? ` +${skills.length - n}` : '');
+    const m = s.trim().match(/^(.+?)(?:\(([^)]+)\))?$/);
+    if (!m) return null;
+    const confidence = parseFloat(m[2]);
+    return { name: m[1].trim(), confidence: Number.isFinite(confidence) ? confidence : null };
+  }).filter(skill => skill?.name);
 }
 
 /** Region code to human label */
@@ -131,29 +259,210 @@ function isGarbageJob(job) {
   return GARBAGE_TITLES.test((job.title || '').trim());
 }
 
+/** Does the job carry any salary information? */
+function hasSalary(job) {
+  return Boolean(job.salaryMin || job.salaryMax || job.salary);
+}
+
 /** Escape pipe characters in markdown table cells */
 function esc(str) {
   return (str || '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
 }
 
 // ============================================================================
-// FETCH JOBS (with exponential backoff retry)
+// SKILL TAXONOMY (skill-taxonomy.json — aliases, categories, confidence thresholds)
+// ============================================================================
+
+const SKILL_TAXONOMY_PATH = process.env.SKILL_TAXONOMY || join(ROOT, 'skill-taxonomy.json');
+const OTHER_SKILL_CATEGORY = 'other';
+
+/** Lookup key shared by names and aliases — case, spaces, dots, dashes and underscores don't matter */
+function skillKey(name) {
+  return name.toLowerCase().replace(/[\s._-]+/g, '');
+}
+
+/** Load the taxonomy → { byKey: Map(key → {name, category}), minConfidence: {default, <category>} } */
+function loadTaxonomy(path) {
+  const raw = JSON.parse(readFileSync(path, 'utf-8'));
+  const byKey = new Map();
+  for (const [name, { category, aliases = [] }] of Object.entries(raw.skills || {})) {
+    if (!raw.categories.includes(category)) throw new Error(`${path}: skill "${name}" has unknown category "${category}"`);
+    for (const alias of [name, ...aliases]) {
+      const key = skillKey(alias);
+      const taken = byKey.get(key);
+      if (taken && taken.name !== name) throw new Error(`${path}: "${alias}" maps to both "${taken.name}" and "${name}"`);
+      byKey.set(key, { name, category });
+    }
+  }
+  return { byKey, minConfidence: { default: 0, ...raw.minConfidence } };
+}
+
+const SKILL_TAXONOMY = loadTaxonomy(SKILL_TAXONOMY_PATH);
+
+/** Canonical {name, category} for a raw skill — unknown skills keep their spelling under "other" */
+function canonicalSkill(raw) {
+  return SKILL_TAXONOMY.byKey.get(skillKey(raw)) || { name: raw.trim(), category: OTHER_SKILL_CATEGORY };
+}
+
+/**
+ * "JS(0.95), Javascript(0.6), Excel(0.2)" → [{name: "JavaScript", category: "language", confidence: 0.95}]
+ * Aliases merge (highest confidence wins) and scores under their category's threshold are dropped;
+ * unscored skills are kept with confidence null.
+ */
+function normalizeSkills(str) {
+  const byName = new Map();
+  for (const { name: raw, confidence } of parseSkillScores(str)) {
+    const { name, category } = canonicalSkill(raw);
+    const min = SKILL_TAXONOMY.minConfidence[category] ?? SKILL_TAXONOMY.minConfidence.default;
+    if (confidence != null && confidence < min) continue;
+    const seen = byName.get(name);
+    if (!seen) byName.set(name, { name, category, confidence });
+    else if (confidence != null && !(seen.confidence >= confidence)) seen.confidence = confidence;
+  }
+  return [...byName.values()];
+}
+
+/** Canonical skill names for a job's raw skills string — what every count, filter and table uses */
+function parseSkills(str) {
+  return normalizeSkills(str).map(skill => skill.name);
+}
+
+/** Top N skills as compact string */
+function topSkills(job, n = 3) {
+  const skills = parseSkills(job.skills);
+  if (skills.length === 0) return '';
+  const shown = skills.slice(0, n);
+  return shown.join(', ') + (skills.length > n ? ` +${skills.length - n}` : '');
+}
+
+/** Does a list of skills (names or {name} records, canonical or not) include any of `wanted`? */
+function hasAnySkill(skills, wanted) {
+  const keys = new Set(skills.map(s => skillKey(canonicalSkill(typeof s === 'string' ? s : s.name).name)));
+  return wanted.some(w => keys.has(skillKey(canonicalSkill(w).name)));
+}
+
+// ============================================================================
+// FETCH JOBS (streaming NDJSON, with exponential backoff retry)
 // ============================================================================
 
 const MAX_RETRIES = 5;
 const INITIAL_DELAY_MS = 3000; // 3s, 6s, 12s, 24s
 const FETCH_TIMEOUT_MS = 360_000; // 6 minutes — endpoint streams ~24 MB NDJSON slowly on Azure B1
+const BAD_LINE_SAMPLES = 3; // How many malformed lines to echo in the log
 
 async function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-async function fetchJobs() {
-  // Use a large hours value to get ALL applyable jobs, not just recent ones
-  const url = `${API_BASE}/api/matching-data?hours=8760`;
+/** Thrown when a response ends mid-record or short of its announced total — the caller retries */
+class TruncatedStreamError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TruncatedStreamError';
+  }
+}
+
+/** Yield complete lines from a byte stream as they arrive; `partial` marks an unterminated last line */
+async function* readLines(body) {
+  const decoder = new TextDecoder();
+  let buf = '';
+  for await (const chunk of body) {
+    buf += decoder.decode(chunk, { stream: true });
+    let nl;
+    while ((nl = buf.indexOf('\n')) !== -1) {
+      yield { line: buf.slice(0, nl), partial: false };
+      buf = buf.slice(nl + 1);
+    }
+  }
+  buf += decoder.decode();
+  if (buf) yield { line: buf, partial: true };
+}
+
+/** Parser state for one response */
+function newStreamState() {
+  return { jobs: new Map(), meta: null, badLines: 0, duplicateIds: [], removed: [] };
+}
+
+/**
+ * Handle one parsed NDJSON record — jobs are keyed by id, and an id repeated in the response is counted
+ * as a duplicate with its last record kept. Incremental responses also carry {type: "removed", id} records.
+ */
+function handleRecord(obj, state, lineNo) {
+  if (obj.type === 'meta') {
+    state.meta = obj;
+  } else if (obj.type === 'removed' && obj.id != null) {
+    state.removed.push(obj.id);
+  } else if (obj.type === 'job' && obj.d) {
+    const key = obj.d.id ?? `line-${lineNo}`;
+    if (state.jobs.has(key)) state.duplicateIds.push(key);
+    state.jobs.set(key, obj.d);
+  }
+}
+
+/** Consume an NDJSON response body into `state`, one record at a time */
+async function consumeStream(body, state) {
+  let lineNo = 0;
+
+  for await (const { line, partial } of readLines(body)) {
+    lineNo++;
+    if (!line.trim()) continue;
+
+    let obj;
+    try {
+      obj = JSON.parse(line);
+    } catch {
+      // An unterminated final line means the connection dropped mid-record, not bad data
+      if (partial) throw new TruncatedStreamError(`Stream cut off mid-record after ${lineNo - 1} lines`);
+      state.badLines++;
+      if (state.badLines <= BAD_LINE_SAMPLES) {
+        console.warn(`  Skipping malformed line ${lineNo}: ${line.slice(0, 120)}`);
+      }
+      continue;
+    }
+
+    handleRecord(obj, state, lineNo);
+  }
+}
+
+/**
+ * Throw TruncatedStreamError when a full snapshot holds fewer or more jobs than the `total` in its meta
+ * record. `total` is optional — without it only a cut mid-record (see consumeStream) is detectable.
+ * A delta's total is the merged snapshot size, checked by mergeDelta.
+ */
+function assertComplete(state) {
+  const total = state.meta?.total;
+  if (total == null || state.meta.mode === 'delta') return;
+  if (state.jobs.size !== total) {
+    throw new TruncatedStreamError(`Stream ended with ${state.jobs.size} of ${total} jobs`);
+  }
+}
+
+/** Final {jobs, meta, badLines, duplicateIds, removed} once a stream has been fully consumed */
+function streamResult(state) {
+  const jobs = [...state.jobs.values()];
+  const badNote = state.badLines ? ` (${state.badLines} malformed lines skipped)` : '';
+  console.log(`Fetched ${jobs.length} jobs${badNote}`);
+  return { jobs, meta: state.meta, badLines: state.badLines, duplicateIds: state.duplicateIds, removed: state.removed };
+}
+
+/** Read recorded NDJSON from disk through the same streaming parser (--fixture <file>) */
+async function readFixture(path) {
+  console.log(`Reading fixture ${path} ...`);
+  const state = newStreamState();
+  await consumeStream(createReadStream(path), state);
+  return streamResult(state);
+}
 
+/**
+ * GET the NDJSON endpoint with retries → {status, etag, jobs, meta, removed, ...}.
+ * 304 (not modified) and 410/412 (cursor no longer valid) come back bodiless for the caller to handle.
+ * The API has no offset or range to continue from, so a truncated response is requested again in full
+ * and parsed into a fresh state — every job comes from the latest attempt.
+ */
+async function requestNdjson(url, headers = {}) {
   for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
     console.log(`Fetching from ${url} ... (attempt ${attempt}/${MAX_RETRIES})`);
+    const state = newStreamState();
 
     try {
       const resp = await fetch(url, {
@@ -161,10 +470,16 @@ async function fetchJobs() {
           'x-user-id': USER_ID,
           'Accept': 'application/x-ndjson',
           'Accept-Encoding': 'gzip',
+          ...headers,
         },
         signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
       });
 
+      if (CURSOR_STATUSES.includes(resp.status)) {
+        await resp.body?.cancel();
+        return { status: resp.status };
+      }
+
       if (!resp.ok) {
         const body = await resp.text().catch(() => '(no body)');
         const isRetryable = resp.status >= 500 || resp.status === 429;
@@ -177,23 +492,9 @@ async function fetchJobs() {
         throw new Error(`API returned ${resp.status}: ${body.slice(0, 500)}`);
       }
 
-      const text = await resp.text();
-      const lines = text.split('\n').filter(l => l.trim());
-
-      const jobs = [];
-      let meta = null;
-
-      for (const line of lines) {
-        const obj = JSON.parse(line);
-        if (obj.type === 'meta') {
-          meta = obj;
-        } else if (obj.type === 'job') {
-          jobs.push(obj.d);
-        }
-      }
-
-      console.log(`Fetched ${jobs.length} jobs`);
-      return { jobs, meta };
+      await consumeStream(resp.body, state);
+      assertComplete(state);
+      return { status: resp.status, etag: resp.headers.get('etag'), ...streamResult(state) };
 
     } catch (err) {
       if (attempt < MAX_RETRIES) {
@@ -207,413 +508,3189 @@ async function fetchJobs() {
   }
 }
 
-// ============================================================================
-// GROUP & SORT
-// ============================================================================
-
-function groupByRegion(jobs) {
-  const groups = { WW: [], EMEA: [], APAC: [], NA: [], LATAM: [] };
-  for (const job of jobs) {
-    if (isGarbageJob(job)) continue;  // Client-side garbage filter
-    const region = job.region || 'WW';
-    if (region === 'WW') {
-      // WW section = true remote only (isRemote=true AND region=WW)
-      if (job.isRemote) groups.WW.push(job);
-      // Non-remote WW jobs are excluded (no section for them)
-    } else if (groups[region]) {
-      groups[region].push(job);
-    }
+/**
+ * Fetch every job. With a cached snapshot (see FETCH CACHE) only the changes since its cursor are
+ * requested and merged in; a rejected cursor or a merge that doesn't add up falls back to a full fetch.
+ * `mode` in the result is "full", "delta" or "cached" (304 — nothing changed).
+ */
+async function fetchJobs({ base = API_BASE, cachePath = FETCH_CACHE_PATH, full = FULL_FETCH, saveCache = !DRY_RUN } = {}) {
+  // Use a large hours value to get ALL applyable jobs, not just recent ones
+  const url = `${base}/api/matching-data?hours=8760`;
+
+  const cache = full ? null : await readFetchCache(cachePath);
+  let result = cache ? await fetchChanges(url, cache) : null;
+  if (!result) {
+    const res = await requestNdjson(url);
+    if (res.status !== 200) throw new Error(`API returned ${res.status} for a full fetch`);
+    result = { ...res, mode: 'full' };
   }
-  return groups;
-}
 
-/** Sort value for salary — deprioritize hourly rates and cap outliers */
-function salarySort(job) {
-  const v = job.salaryMax || job.salaryMin || 0;
-  // Hourly rates have misleadingly high annualized values — sort them after annual salaries
-  if (job.salary && /\/hour/i.test(job.salary)) return 0;
-  // Cap at $600k — anything higher is likely bad data
-  return v > 600000 ? 0 : v;
-}
-
-/** Sort: freshness (most recently scraped first) */
-function sortJobs(jobs) {
-  return [...jobs].sort((a, b) => {
-    return new Date(b.scrapedAt).getTime() - new Date(a.scrapedAt).getTime();
-  });
+  // Only results that passed assertComplete (and mergeDelta) get here — a delta cut mid-record never advances the cursor
+  if (saveCache && result.mode !== 'cached' && (result.meta?.cursor || result.etag)) {
+    writeFetchCache(cachePath, result.jobs, { ...result.meta, etag: result.etag || null });
+  }
+  return result;
 }
 
-/** Human-readable age string from a date */
-function fmtAge(dateStr) {
-  if (!dateStr) return '';
-  const ms = Date.now() - new Date(dateStr).getTime();
-  const hours = Math.floor(ms / (1000 * 60 * 60));
-  if (hours < 1) return '<1h';
-  if (hours < 24) return `${hours}h`;
-  const days = Math.floor(hours / 24);
-  if (days === 1) return '1d';
-  return `${days}d`;
-}
+/** Conditional/incremental request against the cached snapshot → result, or null when a full fetch is needed */
+async function fetchChanges(url, cache) {
+  const { cursor, etag } = cache.meta;
+  const res = await requestNdjson(
+    cursor ? `${url}&since=${encodeURIComponent(cursor)}` : url,
+    etag ? { 'If-None-Match': etag } : {},
+  );
+
+  if (res.status === 304) {
+    console.log(`  Not modified — reusing cached snapshot (${cache.jobs.size} jobs)`);
+    return { jobs: [...cache.jobs.values()], meta: cache.meta, badLines: 0, duplicateIds: [], removed: [], etag, mode: 'cached' };
+  }
+  if (res.status !== 200) {
+    console.warn(`  Cursor ${cursor} rejected (HTTP ${res.status}) — falling back to a full fetch`);
+    return null;
+  }
+  // The API may ignore `since` and send a full snapshot instead
+  if (res.meta?.mode !== 'delta') return { ...res, mode: 'full' };
 
-/** Format location — prefer x_loc (e.g. "Remote, United Kingdom"), fall back to region code */
-function fmtLocation(job) {
-  if (job.location) return job.location;
-  if (job.region) return REGION_LABELS[job.region] || job.region;
-  return '';
+  try {
+    const merged = mergeDelta(cache, res);
+    console.log(`  Changes since ${cursor}: ${res.jobs.length} added/updated, ${res.removed.length} removed → ${merged.jobs.length} jobs`);
+    return { ...res, ...merged, mode: 'delta' };
+  } catch (err) {
+    if (!(err instanceof CursorMismatchError)) throw err;
+    console.warn(`  ${err.message} — falling back to a full fetch`);
+    return null;
+  }
 }
 
 // ============================================================================
-// MARKDOWN GENERATION
+// FETCH CACHE (last snapshot + cursor, for incremental fetches)
 // ============================================================================
 
-/** Normalize company name to match companyLogos keys */
-function normalizeName(name) {
-  return (name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
-}
+const FETCH_CACHE_PATH = process.env.FETCH_CACHE || join(ROOT, '.cache', 'matching-data.ndjson');
+const CURSOR_STATUSES = [304, 410, 412];
 
-/** Placeholder logo URL — transparent 1px PNG from our API */
-const PLACEHOLDER_LOGO = 'https://wagey.gg/api/company-logo?name=_placeholder';
+/** Thrown when a delta response doesn't line up with the cached snapshot */
+class CursorMismatchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CursorMismatchError';
+  }
+}
 
-/** Build company cell — logo for all (placeholder if missing), truncate long names */
-function companyCell(job, logos) {
-  const name = esc(job.company).slice(0, 25);
-  const normalized = normalizeName(job.company);
-  const logoId = logos[normalized];
-  const logoUrl = logoId
-    ? `https://wagey.gg/api/company-logo?id=${encodeURIComponent(logoId)}`
-    : PLACEHOLDER_LOGO;
-  return `<img src="${logoUrl}" alt="" height="16"> ${name}`;
+/** Read the cached snapshot → {jobs: Map, meta} — null when missing, unreadable or without a cursor/ETag */
+async function readFetchCache(path) {
+  if (!existsSync(path)) return null;
+  const state = newStreamState();
+  try {
+    await consumeStream(createReadStream(path), state);
+  } catch (err) {
+    console.warn(`  Ignoring unreadable fetch cache ${path}: ${err.message}`);
+    return null;
+  }
+  if (!state.meta?.cursor && !state.meta?.etag) return null;
+  return { jobs: state.jobs, meta: state.meta };
 }
 
-/** Truncate role title */
-function fmtRole(title) {
-  const t = esc(title);
-  return t.length > 40 ? t.slice(0, 37) + '...' : t;
+/** Save the snapshot in the API's own NDJSON format (meta line first) — via a temp file so a crash can't leave half a cache */
+function writeFetchCache(path, jobs, meta) {
+  mkdirSync(dirname(path), { recursive: true });
+  const { mode, since, ...rest } = meta;
+  const lines = [JSON.stringify({ ...rest, type: 'meta' }), ...jobs.map(d => JSON.stringify({ type: 'job', d }))];
+  writeFileSync(`${path}.tmp`, lines.join('\n') + '\n', 'utf-8');
+  renameSync(`${path}.tmp`, path);
 }
 
-/** Build the Apply cell based on visibility tier */
-function applyCell(job) {
-  if (job.visibility === 'teaser') {
-    // Padlock outside link (no underline), non-breaking space keeps it on one line
-    return `\u{1F512}\u00A0[Pro](https://wagey.gg/pricing?ref=${REF})`;
+/**
+ * Apply a delta response (added/updated jobs, removed ids) to the cached snapshot → {jobs, meta}.
+ * The delta must start at the cache's cursor and, when the API reports a total, the merge must match it.
+ */
+function mergeDelta(cache, delta) {
+  if (delta.meta.since !== cache.meta.cursor) {
+    throw new CursorMismatchError(`Changes are since ${delta.meta.since ?? '(unknown)'} but the cache is at ${cache.meta.cursor}`);
   }
-  return `[Apply](${jobUrl(job)})`;
+  const jobs = new Map(cache.jobs);
+  for (const id of delta.removed) jobs.delete(id);
+  for (const job of delta.jobs) jobs.set(job.id, job);
+  if (delta.meta.total != null && jobs.size !== delta.meta.total) {
+    throw new CursorMismatchError(`Merged snapshot has ${jobs.size} jobs but the API reports ${delta.meta.total}`);
+  }
+  return { jobs: [...jobs.values()], meta: { ...cache.meta, ...delta.meta } };
 }
 
-/** Deterministic varying-length mask for teaser company names */
-function teaserMask(job) {
-  // Simple hash from job title to get a number 4-12
-  let h = 0;
-  const s = job.title || job.id || '';
-  for (let i = 0; i < s.length; i++) h = ((h << 5) - h + s.charCodeAt(i)) | 0;
-  const len = 4 + (Math.abs(h) % 9); // 4 to 12 blocks
-  return '\u2591'.repeat(len);
-}
+// ============================================================================
+// SALARY MODEL (original currency/period, annualized USD, confidence)
+// ============================================================================
 
-function jobTable(jobs, logos, limit = 500) {
-  const sorted = sortJobs(jobs).slice(0, limit);
-  if (sorted.length === 0) return '*No jobs currently listed.*\n';
+/** Working periods per year used to annualize */
+const PERIODS_PER_YEAR = { hour: 2080, day: 260, week: 52, month: 12, year: 1 };
+
+/** USD per unit of currency — used only when the API gives no annualized USD figure. Refresh periodically. */
+const FX_RATES = {
+  date: '2026-03-01',
+  usdPer: {
+    USD: 1, EUR: 1.08, GBP: 1.27, CHF: 1.13, CAD: 0.74, AUD: 0.66, NZD: 0.61, SGD: 0.74, HKD: 0.128,
+    JPY: 0.0067, INR: 0.012, BRL: 0.2, MXN: 0.058, PLN: 0.25, SEK: 0.096, NOK: 0.094, DKK: 0.145,
+    CZK: 0.043, ZAR: 0.054, ILS: 0.27, AED: 0.27,
+  },
+};
 
-  const lines = [
-    '| Company | Role | Salary USD | Age | |',
-    '|---------|------|------------|-----|---|',
-  ];
+/** Symbol → ISO code; multi-character symbols first so "A$" isn't read as "$" */
+const CURRENCY_SYMBOLS = [
+  ['NZ$', 'NZD'], ['HK$', 'HKD'], ['A$', 'AUD'], ['C$', 'CAD'], ['S$', 'SGD'], ['R$', 'BRL'],
+  ['€', 'EUR'], ['£', 'GBP'], ['₹', 'INR'], ['¥', 'JPY'], ['$', 'USD'],
+];
 
-  for (const job of sorted) {
-    const isTeaser = job.visibility === 'teaser';
-    const company = isTeaser ? teaserMask(job) : companyCell(job, logos);
-    const roleTitle = fmtRole(job.title);
-    // Debug: show location, remote flag, region under role
-    const remote = job.isRemote ? '\u{1F310}' : '\u{1F3E2}';  // 🌐 remote, 🏢 in-office
-    const rawLoc = (job.location || '').trim();
-    const loc = (!rawLoc || /^unknown/i.test(rawLoc)) ? '' : esc(rawLoc).slice(0, 35);
-    const locPart = loc ? `${loc} \u2022 ` : '';
-    const debug = ` <br><sub>${remote} ${locPart}${job.region || '?'}</sub>`;
-    const role = roleTitle + debug;
-    const salary = fmtSalary(job);
-    const age = fmtAge(job.scrapedAt);
-    const link = applyCell(job);
-    lines.push(`| ${company} | ${role} | ${salary} | ${age} | ${link} |`);
-  }
+/** Flags that make a salary "low" confidence */
+const LOW_CONFIDENCE_FLAGS = new Set(['hourly', 'capped', 'inverted', 'tooLow', 'noFxRate']);
+const SALARY_CAP = 600_000; // Annual USD above this is almost certainly bad data
+const SALARY_FLOOR = 10_000; // Annual USD below this is almost always a parsing slip
 
-  return lines.join('\n') + '\n';
+function currencySymbol(code) {
+  const entry = CURRENCY_SYMBOLS.find(([, c]) => c === code);
+  return entry ? entry[0] : `${code} `;
 }
 
-function regionStats(groups) {
-  const rows = [];
-  for (const [code, label] of Object.entries(REGION_LABELS)) {
-    const jobs = groups[code] || [];
-    const withSalary = jobs.filter(j => j.salaryMin || j.salaryMax || j.salary).length;
-    const verified = jobs.filter(j => j.verifiedAt).length;
-    rows.push({ code, label, total: jobs.length, withSalary, verified });
+/** Parse "60,000", "60.000", "70k", "1.5k" → number */
+function parseAmount(num, suffix) {
+  const plain = /^\d{1,3}([.,]\d{3})+$/.test(num) ? num.replace(/[.,]/g, '') : num.replace(',', '.');
+  const value = parseFloat(plain);
+  if (isNaN(value)) return null;
+  return /k/i.test(suffix || '') ? value * 1000 : value;
+}
+
+/** Parse a raw salary string like "€70k–€80k/year" or "$50/hour" → {currency, period, min, max} */
+function parseRawSalary(str) {
+  if (!str) return null;
+  const code = str.match(/\b(USD|EUR|GBP|CHF|CAD|AUD|NZD|SGD|HKD|JPY|INR|BRL|MXN|PLN|SEK|NOK|DKK|CZK|ZAR|ILS|AED)\b/i);
+  const symbol = CURRENCY_SYMBOLS.find(([sym]) => str.includes(sym));
+  const currency = code ? code[1].toUpperCase() : symbol ? symbol[1] : 'USD';
+
+  let period = 'year';
+  if (/hour|\bhr\b|hourly/i.test(str)) period = 'hour';
+  else if (/\bday\b|daily/i.test(str)) period = 'day';
+  else if (/week/i.test(str)) period = 'week';
+  else if (/month|\bmo\b/i.test(str)) period = 'month';
+
+  const amounts = [...str.matchAll(/(\d[\d.,]*)\s*(k\b)?/gi)]
+    .map(m => parseAmount(m[1].replace(/[.,]$/, ''), m[2]))
+    .filter(n => n > 0);
+  if (amounts.length === 0) return { currency, period, min: null, max: null };
+  return { currency, period, min: amounts[0], max: amounts[1] ?? amounts[0] };
+}
+
+/**
+ * Full salary model for a job, or null when it has none. The API's salaryMin/salaryMax are
+ * already annualized USD; the raw `salary` string supplies the original currency and period.
+ */
+function salaryModel(job) {
+  const raw = parseRawSalary(job.salary);
+  if (!raw?.min && !job.salaryMin && !job.salaryMax) return null;
+
+  const currency = raw?.currency || 'USD';
+  const period = raw?.period || 'year';
+  const fxRate = FX_RATES.usdPer[currency] ?? null;
+  let annualUsdMin = job.salaryMin || null;
+  let annualUsdMax = job.salaryMax || null;
+  if (!annualUsdMin && !annualUsdMax && raw?.min && fxRate) {
+    annualUsdMin = Math.round(raw.min * PERIODS_PER_YEAR[period] * fxRate);
+    annualUsdMax = Math.round(raw.max * PERIODS_PER_YEAR[period] * fxRate);
   }
-  return rows;
+
+  const flags = [];
+  const top = annualUsdMax || annualUsdMin || 0;
+  if (period === 'hour') flags.push('hourly');
+  if (fxRate == null) flags.push('noFxRate');
+  if (annualUsdMin && annualUsdMax && annualUsdMin > annualUsdMax) flags.push('inverted');
+  if (top > SALARY_CAP) flags.push('capped');
+  if (top && top < SALARY_FLOOR) flags.push('tooLow');
+
+  // Without a raw string the API figures are the original too
+  const original = raw?.min ? raw : { min: annualUsdMin, max: annualUsdMax };
+  return {
+    currency,
+    period,
+    min: original.min,
+    max: original.max,
+    annualUsdMin,
+    annualUsdMax,
+    fxRate,
+    fxDate: FX_RATES.date,
+    confidence: flags.some(f => LOW_CONFIDENCE_FLAGS.has(f)) ? 'low' : 'high',
+    flags,
+  };
 }
 
 // ============================================================================
-// UPDATE HISTORY (git log across all 3 repos)
+// LOCATION (work mode, eligible countries, timezone window)
 // ============================================================================
 
-const HISTORY_LIMIT = 42;
+const US_STATES = [
+  'Alabama', 'Alaska', 'Arizona', 'Arkansas', 'California', 'Colorado', 'Connecticut', 'Delaware', 'Florida',
+  'Hawaii', 'Idaho', 'Illinois', 'Indiana', 'Iowa', 'Kansas', 'Kentucky', 'Louisiana', 'Maine', 'Maryland',
+  'Massachusetts', 'Michigan', 'Minnesota', 'Mississippi', 'Missouri', 'Montana', 'Nebraska', 'Nevada',
+  'New Hampshire', 'New Jersey', 'New Mexico', 'New York', 'North Carolina', 'North Dakota', 'Ohio', 'Oklahoma',
+  'Oregon', 'Pennsylvania', 'Rhode Island', 'South Carolina', 'South Dakota', 'Tennessee', 'Texas', 'Utah',
+  'Vermont', 'Virginia', 'Washington', 'West Virginia', 'Wisconsin', 'Wyoming', // Georgia is read as the country
+];
+
+/** ISO 3166 code → [name, region code, aliases and major cities] */
+const COUNTRIES = {
+  US: ['United States', 'NA', ['USA', 'US', 'U.S.', 'U.S.A.', 'United States of America', 'NYC', 'San Francisco', 'Bay Area', 'Seattle', 'Boston', 'Chicago', 'Austin', 'Los Angeles', 'Denver', 'Atlanta', ...US_STATES]],
+  CA: ['Canada', 'NA', ['Toronto', 'Vancouver', 'Montreal', 'Ontario', 'Quebec', 'British Columbia', 'Alberta']],
+  MX: ['Mexico', 'LATAM', ['México', 'Mexico City']],
+  BR: ['Brazil', 'LATAM', ['Brasil', 'São Paulo', 'Sao Paulo']],
+  AR: ['Argentina', 'LATAM', ['Buenos Aires']],
+  CL: ['Chile', 'LATAM', ['Santiago']],
+  CO: ['Colombia', 'LATAM', ['Bogotá', 'Bogota', 'Medellín', 'Medellin']],
+  PE: ['Peru', 'LATAM', ['Perú', 'Lima']],
+  UY: ['Uruguay', 'LATAM', ['Montevideo']],
+  CR: ['Costa Rica', 'LATAM', []],
+  EC: ['Ecuador', 'LATAM', []],
+  GT: ['Guatemala', 'LATAM', []],
+  PA: ['Panama', 'LATAM', []],
+  DO: ['Dominican Republic', 'LATAM', []],
+  VE: ['Venezuela', 'LATAM', []],
+  BO: ['Bolivia', 'LATAM', []],
+  PY: ['Paraguay', 'LATAM', []],
+  SV: ['El Salvador', 'LATAM', []],
+  HN: ['Honduras', 'LATAM', []],
+  GB: ['United Kingdom', 'EMEA', ['UK', 'U.K.', 'Great Britain', 'Britain', 'England', 'Scotland', 'Wales', 'Northern Ireland', 'London', 'Manchester', 'Edinburgh']],
+  IE: ['Ireland', 'EMEA', ['Dublin']],
+  DE: ['Germany', 'EMEA', ['Deutschland', 'Berlin', 'Munich', 'München', 'Hamburg', 'Frankfurt', 'Cologne']],
+  FR: ['France', 'EMEA', ['Paris', 'Lyon']],
+  NL: ['Netherlands', 'EMEA', ['The Netherlands', 'Holland', 'Amsterdam', 'Rotterdam']],
+  BE: ['Belgium', 'EMEA', ['Brussels']],
+  LU: ['Luxembourg', 'EMEA', []],
+  AT: ['Austria', 'EMEA', ['Vienna']],
+  CH: ['Switzerland', 'EMEA', ['Zurich', 'Zürich', 'Geneva']],
+  ES: ['Spain', 'EMEA', ['España', 'Madrid', 'Barcelona']],
+  PT: ['Portugal', 'EMEA', ['Lisbon', 'Porto']],
+  IT: ['Italy', 'EMEA', ['Italia', 'Milan', 'Rome']],
+  GR: ['Greece', 'EMEA', ['Athens']],
+  MT: ['Malta', 'EMEA', []],
+  CY: ['Cyprus', 'EMEA', []],
+  DK: ['Denmark', 'EMEA', ['Copenhagen']],
+  SE: ['Sweden', 'EMEA', ['Stockholm']],
+  NO: ['Norway', 'EMEA', ['Oslo']],
+  FI: ['Finland', 'EMEA', ['Helsinki']],
+  IS: ['Iceland', 'EMEA', []],
+  EE: ['Estonia', 'EMEA', ['Tallinn']],
+  LV: ['Latvia', 'EMEA', ['Riga']],
+  LT: ['Lithuania', 'EMEA', ['Vilnius']],
+  PL: ['Poland', 'EMEA', ['Warsaw', 'Kraków', 'Krakow', 'Wrocław', 'Wroclaw']],
+  CZ: ['Czechia', 'EMEA', ['Czech Republic', 'Czech', 'Prague', 'Brno']],
+  SK: ['Slovakia', 'EMEA', ['Bratislava']],
+  HU: ['Hungary', 'EMEA', ['Budapest']],
+  SI: ['Slovenia', 'EMEA', ['Ljubljana']],
+  HR: ['Croatia', 'EMEA', ['Zagreb']],
+  RO: ['Romania', 'EMEA', ['Bucharest', 'Cluj']],
+  BG: ['Bulgaria', 'EMEA', ['Sofia']],
+  RS: ['Serbia', 'EMEA', ['Belgrade']],
+  UA: ['Ukraine', 'EMEA', ['Kyiv', 'Kiev', 'Lviv']],
+  TR: ['Turkey', 'EMEA', ['Türkiye', 'Turkiye', 'Istanbul', 'Ankara']],
+  GE: ['Georgia', 'EMEA', ['Tbilisi']],
+  AM: ['Armenia', 'EMEA', ['Yerevan']],
+  IL: ['Israel', 'EMEA', ['Tel Aviv']],
+  AE: ['United Arab Emirates', 'EMEA', ['UAE', 'Dubai', 'Abu Dhabi']],
+  SA: ['Saudi Arabia', 'EMEA', ['Riyadh']],
+  QA: ['Qatar', 'EMEA', ['Doha']],
+  JO: ['Jordan', 'EMEA', ['Amman']],
+  EG: ['Egypt', 'EMEA', ['Cairo']],
+  MA: ['Morocco', 'EMEA', []],
+  TN: ['Tunisia', 'EMEA', []],
+  NG: ['Nigeria', 'EMEA', ['Lagos']],
+  GH: ['Ghana', 'EMEA', ['Accra']],
+  KE: ['Kenya', 'EMEA', ['Nairobi']],
+  ZA: ['South Africa', 'EMEA', ['Cape Town', 'Johannesburg']],
+  IN: ['India', 'APAC', ['Bangalore', 'Bengaluru', 'Hyderabad', 'Pune', 'Mumbai', 'Delhi', 'Chennai', 'Gurgaon', 'Noida']],
+  PK: ['Pakistan', 'APAC', ['Karachi', 'Lahore']],
+  BD: ['Bangladesh', 'APAC', ['Dhaka']],
+  LK: ['Sri Lanka', 'APAC', ['Colombo']],
+  NP: ['Nepal', 'APAC', []],
+  SG: ['Singapore', 'APAC', []],
+  MY: ['Malaysia', 'APAC', ['Kuala Lumpur']],
+  ID: ['Indonesia', 'APAC', ['Jakarta']],
+  PH: ['Philippines', 'APAC', ['Manila']],
+  TH: ['Thailand', 'APAC', ['Bangkok']],
+  VN: ['Vietnam', 'APAC', ['Viet Nam', 'Ho Chi Minh City', 'Hanoi']],
+  CN: ['China', 'APAC', ['Shanghai', 'Beijing', 'Shenzhen']],
+  HK: ['Hong Kong', 'APAC', []],
+  TW: ['Taiwan', 'APAC', ['Taipei']],
+  KR: ['South Korea', 'APAC', ['Korea', 'Seoul']],
+  JP: ['Japan', 'APAC', ['Tokyo', 'Osaka']],
+  AU: ['Australia', 'APAC', ['Sydney', 'Melbourne', 'Brisbane', 'Perth']],
+  NZ: ['New Zealand', 'APAC', ['Auckland', 'Wellington']],
+};
 
-/** Read git log from a repo directory, return [{hash, date, message}] */
-function readGitLog(repoPath, limit) {
-  try {
-    const raw = execSync(
-      `git log --format="%H|%aI|%s" -${limit}`,
-      { cwd: repoPath, encoding: 'utf-8', timeout: 10000 }
-    ).trim();
-    if (!raw) return [];
-    return raw.split('\n').map(line => {
-      const [hash, date, ...msgParts] = line.split('|');
-      return { hash, date, message: msgParts.join('|') };
-    });
-  } catch {
-    return [];
-  }
-}
+const regionCountries = region => Object.keys(COUNTRIES).filter(code => COUNTRIES[code][1] === region);
+const EU_COUNTRIES = ['AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR', 'DE', 'GR', 'HU', 'IE', 'IT', 'LV', 'LT', 'LU', 'MT', 'NL', 'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE'];
+const EUROPE_COUNTRIES = [...EU_COUNTRIES, 'GB', 'CH', 'NO', 'IS', 'RS', 'UA', 'TR'];
+
+/** Multi-country terms → [country codes, aliases]; the key is the label shown for them */
+const COUNTRY_GROUPS = {
+  EU: [EU_COUNTRIES, ['European Union']],
+  EEA: [[...EU_COUNTRIES, 'IS', 'NO'], ['European Economic Area']],
+  Europe: [EUROPE_COUNTRIES, ['European']],
+  DACH: [['DE', 'AT', 'CH'], []],
+  Nordics: [['DK', 'FI', 'IS', 'NO', 'SE'], ['Nordic', 'Scandinavia']],
+  Benelux: [['BE', 'NL', 'LU'], []],
+  'Middle East': [['AE', 'SA', 'QA', 'IL', 'JO', 'EG'], ['MENA']],
+  Africa: [['EG', 'MA', 'TN', 'NG', 'GH', 'KE', 'ZA'], []],
+  EMEA: [regionCountries('EMEA'), []],
+  APAC: [regionCountries('APAC'), ['Asia-Pacific', 'Asia Pacific', 'Asia']],
+  'North America': [['US', 'CA', 'MX'], []],
+  LATAM: [regionCountries('LATAM'), ['Latin America', 'South America', 'Central America', 'LatAm']],
+  Americas: [[...regionCountries('NA'), ...regionCountries('LATAM')], []],
+};
 
-/** Extract job count from commit message like "21,024 jobs | ..." */
-function extractJobCount(message) {
-  const m = message.match(/([\d,]+)\s+(EMEA |APAC )?jobs/);
-  return m ? m[1] : null;
+/** UTC offsets (hours) of time zone names job posts use — abbreviations are matched case-sensitively */
+const TIMEZONE_OFFSETS = {
+  PST: -8, PDT: -7, PT: -8, 'Pacific Time': -8, MST: -7, MDT: -6, MT: -7, 'Mountain Time': -7,
+  CST: -6, CDT: -5, CT: -6, 'Central Time': -6, EST: -5, EDT: -4, ET: -5, 'Eastern Time': -5,
+  BRT: -3, GMT: 0, UTC: 0, WET: 0, BST: 1, CET: 1, 'Central European Time': 1, CEST: 2, EET: 2,
+  'Eastern European Time': 2, IST: 5.5, SGT: 8, JST: 9, KST: 9, AEST: 10, AEDT: 11, NZST: 12,
+};
+/** Multi-zone phrases → [min, max] UTC offsets */
+const TIMEZONE_SPANS = [
+  [/\b(?:US|U\.S\.|North American?) time ?zones?\b/i, [-8, -5]],
+  [/\bEuropean time ?zones?\b/i, [0, 2]],
+];
+const UTC_OFFSET = /\b(?:UTC|GMT)\s*([+\-−–])\s*(\d{1,2})(?::?(\d{2}))?/g;
+const TIMEZONE_TOLERANCE = /(?:±|\+\/-|\+-)\s*(\d{1,2})\s*(?:h\b|hours?|hrs?)/i;
+
+const WORK_MODE_ICONS = { remote: '\u{1F310}', hybrid: '\u{1F3E0}', onsite: '\u{1F3E2}' }; // 🌐 🏠 🏢
+
+const ANYWHERE = /\b(anywhere|worldwide|world-wide|global(ly)?|international|fully distributed)\b/i;
+const HYBRID = /\bhybrid\b/i;
+const ONSITE = /\b(on-?site|in[- ]office|office[- ]based|in[- ]person)\b/i;
+const REMOTE = /\b(remote|anywhere|wfh|work from home|distributed|telecommute)\b/i;
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
-/** Extract timestamp from commit message like "... — 26-Feb-2026 04:35 UTC" */
-function extractTimestamp(message) {
-  const m = message.match(/(\d{1,2}-\w{3}-\d{4}\s+\d{2}:\d{2}\s+UTC)/);
-  return m ? m[1] : null;
+/** Short all-caps terms ("US", "UK", "EU") only match in capitals — "us" and "eu" are words too */
+function isCodeTerm(term) {
+  const letters = term.replace(/\./g, '');
+  return letters.length <= 3 && letters === letters.toUpperCase();
 }
 
-/** Build the cross-repo update history markdown table */
-function buildHistoryTable() {
-  const mainLog = readGitLog(REPOS.main, HISTORY_LIMIT);
-  const emeaLog = readGitLog(REPOS.emea, HISTORY_LIMIT);
-  const apacLog = readGitLog(REPOS.apac, HISTORY_LIMIT);
+/** Whole-term matcher for a list of terms, longest first so "New Mexico" wins over "Mexico" */
+function termMatcher(terms, flags) {
+  const alternatives = [...terms].sort((a, b) => b.length - a.length).map(escapeRegex).join('|');
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives})(?![\\p{L}\\p{N}])`, `gu${flags}`);
+}
 
-  // Index EMEA/APAC by timestamp for matching
-  const emeaByTs = new Map();
-  for (const e of emeaLog) {
-    const ts = extractTimestamp(e.message);
-    if (ts) emeaByTs.set(ts, e);
+/** term → {label, codes} lookups for names (case-insensitive) and codes, with one matcher each */
+function buildPlaceTerms() {
+  const names = new Map();
+  const codes = new Map();
+  const add = (term, place) => (isCodeTerm(term) ? codes.set(term, place) : names.set(term.toLowerCase(), place));
+  for (const [code, [name, , aliases]] of Object.entries(COUNTRIES)) {
+    for (const term of [name, ...aliases]) add(term, { label: name, codes: [code] });
   }
-  const apacByTs = new Map();
-  for (const e of apacLog) {
-    const ts = extractTimestamp(e.message);
-    if (ts) apacByTs.set(ts, e);
+  for (const [label, [groupCodes, aliases]] of Object.entries(COUNTRY_GROUPS)) {
+    for (const term of [label, ...aliases]) add(term, { label, codes: groupCodes });
   }
+  return {
+    names,
+    codes,
+    nameMatcher: termMatcher([...names.keys()], 'i'),
+    codeMatcher: termMatcher([...codes.keys()], ''),
+  };
+}
 
-  // Build rows from main log, matching EMEA/APAC by timestamp
-  const rows = [];
-  for (const entry of mainLog) {
-    const ts = extractTimestamp(entry.message);
-    const mainJobs = extractJobCount(entry.message);
-    if (!ts || !mainJobs) continue; // Skip non-data commits (e.g. code changes)
-
-    const emea = emeaByTs.get(ts);
-    const apac = apacByTs.get(ts);
+const PLACE_TERMS = buildPlaceTerms();
+const TIMEZONE_MATCHER = new RegExp(Object.keys(TIMEZONE_OFFSETS).map(z => `\\b${escapeRegex(z)}\\b`).join('|'), 'g');
 
-    const mainCell = `[\`${entry.hash.slice(0, 7)}\`](${GITHUB_REPOS.main}/commit/${entry.hash}) ${mainJobs}`;
-    const emeaCell = emea
-      ? `[\`${emea.hash.slice(0, 7)}\`](${GITHUB_REPOS.emea}/commit/${emea.hash}) ${extractJobCount(emea.message) || '?'}`
-      : '—';
-    const apacCell = apac
-      ? `[\`${apac.hash.slice(0, 7)}\`](${GITHUB_REPOS.apac}/commit/${apac.hash}) ${extractJobCount(apac.message) || '?'}`
-      : '—';
+/** -5 → "UTC-5", 5.5 → "UTC+5:30" */
+function fmtUtcOffset(offset) {
+  const sign = offset < 0 ? '-' : '+';
+  const hours = Math.floor(Math.abs(offset));
+  const minutes = Math.round((Math.abs(offset) - hours) * 60);
+  return `UTC${sign}${hours}${minutes ? `:${String(minutes).padStart(2, '0')}` : ''}`;
+}
 
-    rows.push(`| ${ts} | ${mainCell} | ${emeaCell} | ${apacCell} |`);
+/** Timezone window in a location string → {min, max, label} in UTC hours, or null */
+function parseTimezone(text) {
+  const offsets = [];
+  for (const [pattern, span] of TIMEZONE_SPANS) {
+    if (pattern.test(text)) offsets.push(...span);
   }
+  const rest = text.replace(UTC_OFFSET, (_, sign, hours, minutes) => {
+    offsets.push((sign === '+' ? 1 : -1) * (Number(hours) + Number(minutes || 0) / 60));
+    return ' ';
+  });
+  for (const zone of rest.match(TIMEZONE_MATCHER) || []) offsets.push(TIMEZONE_OFFSETS[zone]);
+  if (offsets.length === 0) return null;
 
-  if (rows.length === 0) return '';
-
-  return `## Update History
+  const tolerance = Number(text.match(TIMEZONE_TOLERANCE)?.[1] || 0);
+  const min = Math.min(...offsets) - tolerance;
+  const max = Math.max(...offsets) + tolerance;
+  return { min, max, label: min === max ? fmtUtcOffset(min) : `${fmtUtcOffset(min)} to ${fmtUtcOffset(max)}` };
+}
 
-Last ${rows.length} updates. Full history in each repo's [commit log](${GITHUB_REPOS.main}/commits/main/).
+/** Places named in a location string → {countries: sorted ISO codes, labels: in the order written, deduped} */
+function parsePlaces(text) {
+  const found = []; // [offset, place]
+  const rest = text.replace(PLACE_TERMS.nameMatcher, (m, offset) => {
+    found.push([offset, PLACE_TERMS.names.get(m.toLowerCase())]);
+    return ' '.repeat(m.length);
+  });
+  for (const m of rest.matchAll(PLACE_TERMS.codeMatcher)) found.push([m.index, PLACE_TERMS.codes.get(m[0])]);
 
-| Time (UTC) | Main | EMEA | APAC |
-|---|---|---|---|
-${rows.join('\n')}
-`;
+  const places = found.sort((a, b) => a[0] - b[0]).map(([, place]) => place);
+  return {
+    countries: [...new Set(places.flatMap(p => p.codes))].sort(),
+    labels: [...new Set(places.map(p => p.label))],
+  };
 }
 
-// ============================================================================
-// README TEMPLATES
-// ============================================================================
-
-function mainReadme(groups, allJobs, logos, historyTable) {
-  const totalJobs = allJobs.length;
-  const totalSalary = allJobs.filter(j => j.salaryMin || j.salaryMax || j.salary).length;
-  const totalVerified = allJobs.filter(j => j.verifiedAt).length;
-  const now = fmtDateTime(new Date().toISOString());
+function workMode(text, job) {
+  if (HYBRID.test(text)) return 'hybrid';
+  if (ONSITE.test(text)) return 'onsite';
+  return job.isRemote || REMOTE.test(text) ? 'remote' : 'onsite';
+}
 
-  // Region stats — on-page first (WW, NA, LATAM), off-page last (EMEA, APAC)
-  const onPage = ['WW', 'NA', 'LATAM'];
-  const offPage = ['EMEA', 'APAC'];
-  const regionOrder = [...onPage, ...offPage];
+const LOCATION_CACHE = new Map(); // The same few thousand location strings repeat across 20k jobs
 
-  function regionRow(code) {
+/**
+ * Structured location of a job → {workMode, anywhere, countries, timezone, label}.
+ * `countries` are the ISO codes a candidate may apply from (empty when unrestricted or unknown);
+ * `anywhere` means remote with no country or timezone restriction. Results are shared — don't mutate.
+ */
+function parseLocation(job) {
+  const raw = (job.location || '').trim();
+  const key = `${raw}|${job.isRemote ? 1 : 0}|${job.region || ''}`;
+  if (LOCATION_CACHE.has(key)) return LOCATION_CACHE.get(key);
+
+  const text = /^unknown/i.test(raw) ? '' : raw;
+  const mode = workMode(text, job);
+  // "US time zones" says when to work, not where to live
+  const { countries, labels } = parsePlaces(TIMEZONE_SPANS.reduce((t, [pattern]) => t.replace(pattern, ' '), text));
+  const timezone = parseTimezone(text);
+  const anywhere = mode === 'remote' && countries.length === 0 && !timezone
+    && (ANYWHERE.test(text) || (job.region || 'WW') === 'WW');
+  const label = anywhere ? 'Anywhere' : [labels.join(', '), timezone?.label].filter(Boolean).join(' • ');
+
+  const model = { workMode: mode, anywhere, countries, timezone, label };
+  LOCATION_CACHE.set(key, model);
+  return model;
+}
+
+/** The one region every eligible country is in (e.g. "Remote - USA" → NA), or null */
+function homeRegion(job) {
+  const regions = new Set(parseLocation(job).countries.map(code => COUNTRIES[code][1]));
+  return regions.size === 1 ? [...regions][0] : null;
+}
+
+/** Region a job is listed under — WW jobs limited to one region's countries move there */
+function jobRegion(job) {
+  const region = job.region || 'WW';
+  return region === 'WW' ? homeRegion(job) || 'WW' : region;
+}
+
+/** Can someone living in `country` (ISO code) apply? Remote-anywhere jobs accept every country */
+function eligibleFrom(job, country) {
+  const { anywhere, countries } = parseLocation(job);
+  return anywhere || countries.includes(country.toUpperCase());
+}
+
+// ============================================================================
+// VALIDATION & DATA QUALITY (data/quality.json)
+// ============================================================================
+
+const VISIBILITIES = ['full', 'teaser'];
+const QUALITY_SAMPLES = 10; // Job ids kept per issue code in the report
+
+/** Is the value absent, or a date string that parses? */
+function isDateOrEmpty(value) {
+  return value == null || value === '' || !isNaN(Date.parse(value));
+}
+
+/**
+ * Check one job record → [{code, severity}]. Severity "error" rejects the job from publishing;
+ * "warning" keeps it but is counted in the quality report.
+ */
+function validateJob(job) {
+  const issues = [];
+  const error = code => issues.push({ code, severity: 'error' });
+  const warn = code => issues.push({ code, severity: 'warning' });
+
+  if (job.id == null || job.id === '') error('id.missing');
+  if (!(job.title || '').trim()) error('title.missing');
+  if (!(job.company || '').trim()) error('company.missing');
+
+  if (!job.region) warn('region.missing'); // groupByRegion treats it as WW
+  else if (!REGION_LABELS[job.region]) error('region.invalid');
+
+  if (job.salaryMin != null && typeof job.salaryMin !== 'number') error('salaryMin.notNumber');
+  if (job.salaryMax != null && typeof job.salaryMax !== 'number') error('salaryMax.notNumber');
+  if (job.salaryMin && job.salaryMax && job.salaryMin > job.salaryMax) error('salary.inverted');
+  if (job.salary && /\/hour/i.test(job.salary)) warn('salary.hourly');
+  if ((job.salaryMax || job.salaryMin || 0) > SALARY_CAP) warn('salary.outlier');
+
+  if (!job.scrapedAt) warn('scrapedAt.missing');
+  else if (!isDateOrEmpty(job.scrapedAt)) error('scrapedAt.invalid');
+  if (!isDateOrEmpty(job.verifiedAt)) error('verifiedAt.invalid');
+
+  if (job.visibility != null && !VISIBILITIES.includes(job.visibility)) error('visibility.invalid');
+
+  return issues;
+}
+
+/**
+ * Validate every fetched job → { accepted, report }. Duplicate ids (collapsed while streaming)
+ * and repeated title+company pairs are reported as warnings.
+ */
+function validateJobs(jobs, duplicateIds = []) {
+  const errors = {};
+  const warnings = {};
+  const samples = {};
+  const note = (bucket, code, id) => {
+    bucket[code] = (bucket[code] || 0) + 1;
+    samples[code] ??= [];
+    if (samples[code].length < QUALITY_SAMPLES) samples[code].push(id ?? null);
+  };
+
+  for (const id of duplicateIds) note(warnings, 'duplicate.id', id);
+
+  const accepted = [];
+  const seenPairs = new Set();
+  for (const job of jobs) {
+    const issues = validateJob(job);
+    for (const issue of issues) note(issue.severity === 'error' ? errors : warnings, issue.code, job.id);
+    if (issues.some(i => i.severity === 'error')) continue;
+
+    const pair = `${normalizeName(job.title)}|${normalizeName(job.company)}`;
+    if (seenPairs.has(pair)) note(warnings, 'duplicate.titleCompany', job.id);
+    seenPairs.add(pair);
+    accepted.push(job);
+  }
+
+  const rejected = jobs.length - accepted.length;
+  return {
+    accepted,
+    report: {
+      total: jobs.length,
+      accepted: accepted.length,
+      rejected,
+      rejectRate: jobs.length > 0 ? Number((rejected / jobs.length).toFixed(4)) : 0,
+      errors,
+      warnings,
+      samples,
+    },
+  };
+}
+
+/** One log line per issue code, errors first */
+function logQuality(report) {
+  console.log(`  ${report.accepted} accepted, ${report.rejected} rejected (${(report.rejectRate * 100).toFixed(2)}%)`);
+  for (const [code, n] of Object.entries(report.errors)) console.log(`  error   ${code}: ${n}`);
+  for (const [code, n] of Object.entries(report.warnings)) console.log(`  warning ${code}: ${n}`);
+}
+
+// ============================================================================
+// GUARDRAILS (refuse to publish a run that looks broken compared to the last one)
+// ============================================================================
+
+/**
+ * maxDrop: largest allowed fall in total jobs (overall and per target), as a fraction.
+ * minRegionJobs: a region that had at least this many jobs must not come back empty.
+ * maxTeaserRise / maxSalaryCoverageDrop: largest allowed change in the teaser and with-salary shares (points).
+ */
+const GUARDRAIL_DEFAULTS = { maxDrop: 0.3, minRegionJobs: 10, maxTeaserRise: 0.15, maxSalaryCoverageDrop: 0.2 };
+
+/** Baseline counts in history-record shape from previously published records (no history yet) — stale ones left out */
+function recordCounts(published) {
+  const records = published.filter(r => !r.freshness?.stale);
+  const regions = {};
+  for (const r of records) {
+    const code = r.region || 'WW';
+    regions[code] = { total: (regions[code]?.total || 0) + 1 };
+  }
+  return {
+    total: records.length,
+    withSalary: records.filter(r => r.salary).length,
+    teasers: records.filter(r => r.visibility === 'teaser').length,
+    regions,
+  };
+}
+
+/** What to compare against — the latest full history record, else the primary target's last publish */
+function guardrailBaseline(history, previous) {
+  const last = [...history].reverse().find(r => r.regions);
+  if (last) return last;
+  return previous ? recordCounts(previous) : null;
+}
+
+function pct(n) {
+  return `${(n * 100).toFixed(1)}%`;
+}
+
+/**
+ * Compare this run with the baseline and each target's previous data/jobs.json → [{check, ok, detail}].
+ * Checks without a baseline (first run, targets never published) are skipped.
+ */
+function checkGuardrails(current, baseline, runs, limits) {
+  const results = [];
+  const add = (check, ok, detail) => results.push({ check, ok, detail });
+
+  if (baseline?.total) {
+    const drop = (baseline.total - current.total) / baseline.total;
+    add('total', drop <= limits.maxDrop, `${baseline.total.toLocaleString()} → ${current.total.toLocaleString()} jobs (${drop > 0 ? '-' : '+'}${pct(Math.abs(drop))}, limit -${pct(limits.maxDrop)})`);
+
+    for (const [code, before] of Object.entries(baseline.regions || {})) {
+      if (before.total < limits.minRegionJobs) continue;
+      const now = current.regions?.[code]?.total || 0;
+      add(`region ${code}`, now > 0, `${before.total.toLocaleString()} → ${now.toLocaleString()} jobs`);
+    }
+
+    const share = (n, total) => (total ? n / total : 0);
+    if (baseline.teasers != null) {
+      const before = share(baseline.teasers, baseline.total);
+      const now = share(current.teasers, current.total);
+      add('teaser ratio', now - before <= limits.maxTeaserRise, `${pct(before)} → ${pct(now)} (limit +${pct(limits.maxTeaserRise)} points)`);
+    }
+    if (baseline.withSalary != null) {
+      const before = share(baseline.withSalary, baseline.total);
+      const now = share(current.withSalary, current.total);
+      add('salary coverage', before - now <= limits.maxSalaryCoverageDrop, `${pct(before)} → ${pct(now)} (limit -${pct(limits.maxSalaryCoverageDrop)} points)`);
+    }
+  }
+
+  for (const run of runs) {
+    if (!run.previous?.length) continue;
+    const drop = (run.previous.length - run.data.length) / run.previous.length;
+    add(`target ${run.target.id}`, drop <= limits.maxDrop, `${run.previous.length.toLocaleString()} → ${run.data.length.toLocaleString()} jobs published`);
+  }
+  return results;
+}
+
+function logGuardrails(results) {
+  if (results.length === 0) console.log('  No previous run to compare against — skipped');
+  for (const { check, ok, detail } of results) console.log(`  ${ok ? 'ok  ' : 'FAIL'} ${check}: ${detail}`);
+}
+
+// ============================================================================
+// DEDUP (same role posted on several ATS platforms)
+// ============================================================================
+
+/** Normalize a title for clustering — drops "(m/f/d)"-style suffixes, case and punctuation */
+function normalizeTitle(title) {
+  return normalizeName((title || '').replace(/\([^)]*\)/g, ''));
+}
+
+/** Cluster key: normalized company + title + location (region when location is missing) */
+function dedupKey(job) {
+  return `${normalizeName(job.company)}|${normalizeTitle(job.title)}|${normalizeName(job.location || job.region)}`;
+}
+
+/** Canonical-entry preference: full over teaser, then verified, salaried, most recent, lowest id */
+function compareCanonical(a, b) {
+  return (a.visibility === 'teaser') - (b.visibility === 'teaser')
+    || (new Date(b.verifiedAt || 0).getTime() - new Date(a.verifiedAt || 0).getTime())
+    || (hasSalary(b) - hasSalary(a))
+    || (new Date(b.scrapedAt || 0).getTime() - new Date(a.scrapedAt || 0).getTime())
+    || String(a.id).localeCompare(String(b.id));
+}
+
+/**
+ * Collapse duplicate postings → { jobs, merged }. Each canonical job is a copy carrying the
+ * other postings in `duplicates`; `merged` counts how many postings were folded away.
+ */
+function dedupeJobs(jobs) {
+  const clusters = new Map();
+  for (const job of jobs) {
+    const key = dedupKey(job);
+    if (!clusters.has(key)) clusters.set(key, []);
+    clusters.get(key).push(job);
+  }
+
+  const result = [];
+  let merged = 0;
+  for (const members of clusters.values()) {
+    if (members.length === 1) {
+      result.push(members[0]);
+      continue;
+    }
+    const [canonical, ...duplicates] = [...members].sort(compareCanonical);
+    result.push({ ...canonical, duplicates });
+    merged += duplicates.length;
+  }
+  return { jobs: result, merged };
+}
+
+/** Postings folded into a job by dedup, across a list */
+function countMerged(jobs) {
+  return jobs.reduce((n, j) => n + (j.duplicates?.length || 0), 0);
+}
+
+// ============================================================================
+// FRESHNESS (jobs not re-verified within their region/ATS window are possibly closed)
+// ============================================================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STALE_MODES = ['section', 'exclude'];
+/** Config "freshness": maxAgeDays unless an "ats" (checked first) or "regions" override covers the job */
+const FRESHNESS_DEFAULTS = { maxAgeDays: 14, regions: {}, ats: {}, stale: 'section' };
+const STALE_README_LIMIT = 50; // Rows in the README "Possibly Closed" table
+
+/** Validate config "freshness" → policy; ATS keys are matched lowercase, region keys uppercase */
+function parseFreshness(config, configPath) {
+  const policy = { ...FRESHNESS_DEFAULTS, ...config.freshness };
+  if (!STALE_MODES.includes(policy.stale)) {
+    throw new Error(`${configPath}: freshness.stale must be ${STALE_MODES.join(' or ')}, got "${policy.stale}"`);
+  }
+  const regions = Object.fromEntries(Object.entries(policy.regions).map(([code, days]) => [code.toUpperCase(), days]));
+  const ats = Object.fromEntries(Object.entries(policy.ats).map(([name, days]) => [name.toLowerCase(), days]));
+  const windows = [
+    ['maxAgeDays', policy.maxAgeDays],
+    ...Object.entries(regions).map(([code, days]) => [`regions.${code}`, days]),
+    ...Object.entries(ats).map(([name, days]) => [`ats.${name}`, days]),
+  ];
+  for (const [key, days] of windows) {
+    if (typeof days !== 'number' || !(days > 0)) throw new Error(`${configPath}: freshness.${key} must be a positive number of days`);
+  }
+  return { ...policy, regions, ats };
+}
+
+/** Days a job may go without re-verification under `policy` */
+function maxAgeDays(job, policy) {
+  return policy.ats[(job.ats || '').toLowerCase()] ?? policy.regions[jobRegion(job)] ?? policy.maxAgeDays;
+}
+
+/**
+ * Last confirmation a job is open, in ms — verifiedAt, or scrapedAt for a job that was never verified
+ * (a re-scrape of the listing doesn't vouch for a job whose verification has lapsed). 0 when undated.
+ */
+function lastSeen(job) {
+  const t = new Date(job.verifiedAt || job.scrapedAt || 0).getTime();
+  return Number.isNaN(t) ? 0 : t;
+}
+
+/**
+ * A job's standing under `policy` → { maxAgeDays, verified, stale }. `verified`: verifiedAt falls inside
+ * the window. `stale`: lastSeen doesn't — undated jobs are never stale.
+ */
+function jobFreshness(job, policy, now) {
+  const days = maxAgeDays(job, policy);
+  const seen = lastSeen(job);
+  return {
+    maxAgeDays: days,
+    verified: Boolean(job.verifiedAt) && now - new Date(job.verifiedAt).getTime() <= days * DAY_MS,
+    stale: seen > 0 && now - seen > days * DAY_MS,
+  };
+}
+
+/** Copy each job with its `freshness` and split off the stale ones → { fresh, stale } */
+function applyFreshness(jobs, policy, now = Date.now()) {
+  const fresh = [];
+  const stale = [];
+  for (const job of jobs) {
+    const annotated = { ...job, freshness: jobFreshness(job, policy, now) };
+    (annotated.freshness.stale ? stale : fresh).push(annotated);
+  }
+  return { fresh, stale };
+}
+
+/** Verified within the freshness window — jobs that never went through applyFreshness count any verifiedAt */
+function isVerified(job) {
+  return job.freshness ? job.freshness.verified : Boolean(job.verifiedAt);
+}
+
+/** Whole days since the job was verified (0 within the last 24 hours), null when it never was */
+function verifiedDays(job, now = Date.now()) {
+  const t = new Date(job.verifiedAt || '').getTime();
+  return Number.isNaN(t) ? null : Math.max(0, Math.floor((now - t) / DAY_MS));
+}
+
+/** "verified today" / "verified 3 days ago" — '' when the job was never verified */
+function verifiedBadge(job, now = Date.now()) {
+  const days = verifiedDays(job, now);
+  if (days === null) return '';
+  if (days === 0) return 'verified today';
+  return `verified ${days} ${days === 1 ? 'day' : 'days'} ago`;
+}
+
+/** "14 days" or "7–30 days" — the windows that apply to `jobs` */
+function windowText(jobs) {
+  const days = [...new Set(jobs.map(j => j.freshness?.maxAgeDays).filter(Boolean))].sort((a, b) => a - b);
+  if (days.length === 0) return '';
+  if (days.length > 1) return `${days[0]}–${days[days.length - 1]} days`;
+  return days[0] === 1 ? '1 day' : `${days[0]} days`;
+}
+
+/** possibly-closed.md context — listed jobs not re-verified within their window, most recently seen first; null when none */
+function staleContext(run, logos) {
+  const stale = run.stale || [];
+  if (stale.length === 0) return null;
+  const order = jobs => [...jobs].sort((a, b) => lastSeen(b) - lastSeen(a));
+  return {
+    count: stale.length,
+    window: windowText(stale),
+    limit: stale.length > STALE_README_LIMIT ? STALE_README_LIMIT : null,
+    table: jobTableContext(stale, logos, STALE_README_LIMIT, order),
+  };
+}
+
+// ============================================================================
+// GROUP & SORT
+// ============================================================================
+
+function groupByRegion(jobs) {
+  const groups = { WW: [], EMEA: [], APAC: [], NA: [], LATAM: [] };
+  for (const job of jobs) {
+    if (isGarbageJob(job)) continue;  // Client-side garbage filter
+    const region = jobRegion(job);
+    if (region === 'WW') {
+      // WW section = true remote only (isRemote=true AND no single home region)
+      if (job.isRemote) groups.WW.push(job);
+      // Non-remote WW jobs without a recognizable country are excluded (no section for them)
+    } else if (groups[region]) {
+      groups[region].push(job);
+    }
+  }
+  return groups;
+}
+
+/** Sort value for salary — deprioritize hourly rates and cap outliers */
+function salarySort(job) {
+  const m = salaryModel(job);
+  if (!m) return 0;
+  // Hourly rates have misleadingly high annualized values — sort them after annual salaries
+  if (m.flags.includes('hourly')) return 0;
+  // Cap at $600k — anything higher is likely bad data
+  if (m.flags.includes('capped')) return 0;
+  return m.annualUsdMax || m.annualUsdMin || 0;
+}
+
+/** Sort: freshness (most recently scraped first) */
+function sortJobs(jobs) {
+  return [...jobs].sort((a, b) => {
+    return new Date(b.scrapedAt).getTime() - new Date(a.scrapedAt).getTime();
+  });
+}
+
+/** Human-readable age string from a date */
+function fmtAge(dateStr) {
+  if (!dateStr) return '';
+  const ms = Date.now() - new Date(dateStr).getTime();
+  const hours = Math.floor(ms / (1000 * 60 * 60));
+  if (hours < 1) return '<1h';
+  if (hours < 24) return `${hours}h`;
+  const days = Math.floor(hours / 24);
+  if (days === 1) return '1d';
+  return `${days}d`;
+}
+
+/**
+ * Short location — remote jobs show where you can apply from ("EU • UTC-1 to UTC+3", "Anywhere");
+ * hybrid and onsite jobs keep the raw place, since the city matters. Empty when unknown.
+ */
+function locationLabel(job) {
+  const { workMode, label } = parseLocation(job);
+  const raw = (job.location || '').trim();
+  if (workMode === 'remote' && label) return label;
+  return /^unknown/i.test(raw) ? '' : raw;
+}
+
+/** Format location — locationLabel, falling back to the region name */
+function fmtLocation(job) {
+  const region = jobRegion(job);
+  return locationLabel(job) || REGION_LABELS[region] || region;
+}
+
+// ============================================================================
+// TEMPLATES (scripts/templates/*.md — README layout, wording and job table columns)
+// ============================================================================
+
+/*
+ * Mustache-style templates, one file per template or partial:
+ *   {{name}} {{a.b}} {{.}}     value — numbers are formatted with toLocaleString, nothing is escaped
+ *   {{#name}}…{{/name}}        once if truthy (with the value in scope), once per item of a non-empty array
+ *   {{^name}}…{{/name}}        once if falsy or an empty array
+ *   {{> partial}}              another template, rendered with the current scope
+ *   {{! comment}}
+ * A line holding nothing but a section, partial or comment tag is dropped whole, newline included.
+ * README_TEMPLATES=<dir> overrides built-in files by name; any other .md file there becomes a new partial.
+ */
+
+const TEMPLATE_DIR = join(__dirname, 'templates');
+const TEMPLATE_TAG = /\{\{\s*([#^/>!]?)\s*((?:(?!\}\})[\s\S])*?)\s*\}\}/g;
+const STANDALONE_TAG = /^[ \t]*(\{\{\s*[#^/>!](?:(?!\{\{|\}\})[^\n])*\}\})[ \t]*(?:\r?\n|$)/gm;
+
+/** Template source → tree of strings and {kind, key, children} nodes */
+function parseTemplate(source, name) {
+  const text = source.replace(STANDALONE_TAG, '$1');
+  const root = { children: [] };
+  const open = [root];
+  let pos = 0;
+  for (const m of text.matchAll(TEMPLATE_TAG)) {
+    const { children } = open[open.length - 1];
+    if (m.index > pos) children.push(text.slice(pos, m.index));
+    pos = m.index + m[0].length;
+    const [, kind, key] = m;
+    if (kind === '#' || kind === '^') {
+      const node = { kind, key, children: [] };
+      children.push(node);
+      open.push(node);
+    } else if (kind === '/') {
+      if (open.length === 1 || open.pop().key !== key) throw new Error(`Template "${name}": unexpected {{/${key}}}`);
+    } else if (kind === '>') {
+      children.push({ kind, key });
+    } else if (kind !== '!') {
+      children.push({ kind: 'value', key });
+    }
+  }
+  if (open.length > 1) throw new Error(`Template "${name}": unclosed {{#${open[open.length - 1].key}}}`);
+  if (pos < text.length) root.children.push(text.slice(pos));
+  return root.children;
+}
+
+/** Parse every .md file in `dirs` — later directories override earlier ones by file name → { name: tree } */
+function loadTemplates(...dirs) {
+  const templates = {};
+  for (const dir of dirs.filter(Boolean)) {
+    for (const file of readdirSync(dir).filter(f => f.endsWith('.md'))) {
+      const name = file.slice(0, -3);
+      templates[name] = parseTemplate(readFileSync(join(dir, file), 'utf-8'), name);
+    }
+  }
+  return templates;
+}
+
+const README_TEMPLATES = loadTemplates(TEMPLATE_DIR, process.env.README_TEMPLATES);
+
+/** Resolve a (dotted) key against the innermost scope that defines its first part */
+function lookup(scopes, key) {
+  if (key === '.') return scopes[scopes.length - 1];
+  const [head, ...rest] = key.split('.');
+  const scope = scopes.findLast(s => s !== null && typeof s === 'object' && head in s);
+  return rest.reduce((value, k) => value?.[k], scope?.[head]);
+}
+
+function templateValue(value) {
+  if (value == null || value === false) return '';
+  return typeof value === 'number' ? value.toLocaleString() : String(value);
+}
+
+function renderNodes(nodes, scopes, templates) {
+  let out = '';
+  for (const node of nodes) {
+    if (typeof node === 'string') {
+      out += node;
+    } else if (node.kind === 'value') {
+      out += templateValue(lookup(scopes, node.key));
+    } else if (node.kind === '>') {
+      out += renderTemplate(templates, node.key, scopes);
+    } else {
+      const value = lookup(scopes, node.key);
+      const items = Array.isArray(value) ? value : value ? [value] : [];
+      if (node.kind === '^') {
+        if (items.length === 0) out += renderNodes(node.children, scopes, templates);
+        continue;
+      }
+      for (const item of items) {
+        scopes.push(item);
+        out += renderNodes(node.children, scopes, templates);
+        scopes.pop();
+      }
+    }
+  }
+  return out;
+}
+
+/** Render template `name` with `context` (or, for partials, the caller's scope stack) */
+function renderTemplate(templates, name, context) {
+  if (!templates[name]) throw new Error(`Unknown template "${name}" (have ${Object.keys(templates).join(', ')})`);
+  return renderNodes(templates[name], Array.isArray(context) ? context : [context], templates);
+}
+
+// ============================================================================
+// MARKDOWN GENERATION
+// ============================================================================
+
+/** Normalize company name to match companyLogos keys */
+function normalizeName(name) {
+  return (name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/** Placeholder logo URL — transparent 1px PNG from our API */
+const PLACEHOLDER_LOGO = 'https://wagey.gg/api/company-logo?name=_placeholder';
+
+/** Company logo URL from the meta logo map, or the placeholder */
+function logoUrl(company, logos) {
+  const logoId = logos[normalizeName(company)];
+  return logoId
+    ? `https://wagey.gg/api/company-logo?id=${encodeURIComponent(logoId)}`
+    : PLACEHOLDER_LOGO;
+}
+
+/** Build company cell — logo for all (placeholder if missing), truncate long names */
+function companyCell(job, logos) {
+  const name = esc(job.company).slice(0, 25);
+  return `<img src="${logoUrl(job.company, logos)}" alt="" height="16"> ${name}`;
+}
+
+/** Truncate role title */
+function fmtRole(title) {
+  const t = esc(title);
+  return t.length > 40 ? t.slice(0, 37) + '...' : t;
+}
+
+/** Truncate the location label — at a word edge where one is close, never leaving a trailing space */
+function fmtPlace(job) {
+  const t = esc(locationLabel(job));
+  if (t.length <= 35) return t;
+  const cut = t.slice(0, 32);
+  const space = cut.lastIndexOf(' ');
+  return (space > 20 ? cut.slice(0, space) : cut).replace(/[\s,•]+$/, '') + '...';
+}
+
+/** Build the Apply cell based on visibility tier */
+function applyCell(job) {
+  if (job.visibility === 'teaser') {
+    // Padlock outside link (no underline), non-breaking space keeps it on one line
+    return `\u{1F512}\u00A0[Pro](https://wagey.gg/pricing?ref=${REF})`;
+  }
+  return `[Apply](${jobUrl(job)})`;
+}
+
+/** Deterministic varying-length mask for teaser company names */
+function teaserMask(job) {
+  // Simple hash from job title to get a number 4-12
+  let h = 0;
+  const s = job.title || job.id || '';
+  for (let i = 0; i < s.length; i++) h = ((h << 5) - h + s.charCodeAt(i)) | 0;
+  const len = 4 + (Math.abs(h) % 9); // 4 to 12 blocks
+  return '\u2591'.repeat(len);
+}
+
+/** job-row.md context — cells are ready-made markdown; the template decides which to show and how */
+function jobRowContext(job, logos) {
+  const teaser = job.visibility === 'teaser';
+  return {
+    teaser,
+    company: teaser ? teaserMask(job) : companyCell(job, logos),
+    title: fmtRole(job.title),
+    mode: WORK_MODE_ICONS[parseLocation(job).workMode],
+    location: fmtPlace(job),
+    region: jobRegion(job),
+    salary: fmtSalary(job),
+    age: fmtAge(job.scrapedAt),
+    verified: verifiedBadge(job),
+    url: jobUrl(job, null),
+  };
+}
+
+/** job-table.md context — the first `limit` jobs in `order` */
+function jobTableContext(jobs, logos, limit = 500, order = sortJobs) {
+  const rows = order(jobs).slice(0, limit).map(job => jobRowContext(job, logos));
+  return { empty: rows.length === 0, rows };
+}
+
+function jobTable(jobs, logos, limit = 500, order = sortJobs, templates = README_TEMPLATES) {
+  return renderTemplate(templates, 'job-table', { ref: REF, ...jobTableContext(jobs, logos, limit, order) });
+}
+
+function regionStats(groups) {
+  return Object.entries(REGION_LABELS).map(([code, label]) => ({ code, label, ...jobCounts(groups[code] || []) }));
+}
+
+// ============================================================================
+// UPDATE HISTORY (data/history.ndjson — one structured record per run)
+// ============================================================================
+
+const HISTORY_LIMIT = 42; // Rows in the README history table (and commits scanned when backfilling)
+const HISTORY_TOP_SKILLS = 10;
+const TREND_DAYS = 30; // Daily points plotted in the README trend charts
+
+/** Read git log from a repo directory (optionally only commits touching `path`), return [{hash, date, message}] */
+function readGitLog(repoPath, limit, path = null) {
+  try {
+    const raw = execSync(
+      `git log --format="%H|%aI|%s" -${limit}${path ? ` -- ${path}` : ''}`,
+      { cwd: repoPath, encoding: 'utf-8', timeout: 10000 }
+    ).trim();
+    if (!raw) return [];
+    return raw.split('\n').map(line => {
+      const [hash, date, ...msgParts] = line.split('|');
+      return { hash, date, message: msgParts.join('|') };
+    });
+  } catch {
+    return [];
+  }
+}
+
+/** Run manifests committed to the primary repo, newest first → [{hash, date, message, manifest}] */
+function readRunManifests(repoPath, limit) {
+  return readGitLog(repoPath, limit, MANIFEST_FILE).flatMap(entry => {
+    try {
+      const raw = execFileSync('git', ['show', `${entry.hash}:${MANIFEST_FILE}`], { cwd: repoPath, encoding: 'utf-8', timeout: 10000, stdio: ['ignore', 'pipe', 'ignore'] });
+      return [{ ...entry, manifest: JSON.parse(raw) }];
+    } catch {
+      return [];
+    }
+  });
+}
+
+/**
+ * Fill in `commits` for recent history records from the run manifests — each manifest carries its run's
+ * exact timestamp, so records match without guessing from commit-message times.
+ */
+function linkHistoryCommits(history, targets) {
+  const unlinked = history.slice(-HISTORY_LIMIT).filter(r => !r.commits);
+  if (unlinked.length === 0) return history;
+  const [primary] = targets;
+  const byTs = new Map(readRunManifests(primary.path, HISTORY_LIMIT).map(m => [m.manifest.ts, m]));
+  for (const record of unlinked) {
+    const entry = byTs.get(record.ts);
+    if (!entry) continue;
+    record.commits = { [primary.id]: entry.hash };
+    for (const [id, { commit }] of Object.entries(entry.manifest.targets || {})) {
+      if (commit) record.commits[id] = commit;
+    }
+  }
+  return history;
+}
+
+/** Extract job count from commit message like "21,024 jobs | ..." or "1,234 EMEA jobs | ..." */
+function extractJobCount(message) {
+  const m = message.match(/([\d,]+)\s+([\w+&-]+ )?jobs/);
+  return m ? m[1] : null;
+}
+
+/** Extract timestamp from commit message like "... — 26-Feb-2026 04:35 UTC" */
+function extractTimestamp(message) {
+  const m = message.match(/(\d{1,2}-\w{3}-\d{4}\s+\d{2}:\d{2}\s+UTC)/);
+  return m ? m[1] : null;
+}
+
+/** Read data/history.ndjson → records oldest first, or null before the first run that writes it */
+function readHistory(path) {
+  if (!existsSync(path)) return null;
+  return readFileSync(path, 'utf-8').split('\n').filter(l => l.trim()).flatMap(line => {
+    try {
+      return [JSON.parse(line)];
+    } catch {
+      console.warn(`  Skipping malformed history line: ${line.slice(0, 80)}`);
+      return [];
+    }
+  });
+}
+
+/**
+ * One-time backfill for repos that predate history.ndjson: job counts and commit hashes scraped
+ * from the data commits in each target's git log, matched across repos by message timestamp.
+ */
+function seedHistoryFromGit(targets) {
+  const [primary, ...others] = targets;
+  const othersByTs = others.map(target => {
+    const byTs = new Map();
+    for (const e of readGitLog(target.path, HISTORY_LIMIT)) {
+      const ts = extractTimestamp(e.message);
+      if (ts) byTs.set(ts, e);
+    }
+    return byTs;
+  });
+
+  const records = [];
+  for (const entry of readGitLog(primary.path, HISTORY_LIMIT)) {
+    const ts = extractTimestamp(entry.message);
+    const count = extractJobCount(entry.message);
+    if (!ts || !count) continue; // Skip non-data commits (e.g. code changes)
+
+    const record = {
+      ts: new Date(entry.date).toISOString(),
+      targets: { [primary.id]: { total: parseInt(count.replace(/,/g, ''), 10) } },
+      commits: { [primary.id]: entry.hash },
+    };
+    others.forEach((target, i) => {
+      const match = othersByTs[i].get(ts);
+      const matchCount = match && extractJobCount(match.message);
+      if (!matchCount) return;
+      record.targets[target.id] = { total: parseInt(matchCount.replace(/,/g, ''), 10) };
+      record.commits[target.id] = match.hash;
+    });
+    records.push(record);
+  }
+  return records.reverse(); // git log is newest first
+}
+
+/** Median of the positive numbers in a list, or null */
+function median(values) {
+  const sorted = values.filter(v => v > 0).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+/** Headline counts for a set of jobs — the numbers every history record and stats table share */
+function jobCounts(jobs) {
+  return {
+    total: jobs.length,
+    withSalary: jobs.filter(hasSalary).length,
+    verified: jobs.filter(isVerified).length,
+    teasers: jobs.filter(j => j.visibility === 'teaser').length,
+    medianSalary: median(jobs.map(salarySort)),
+  };
+}
+
+/** This run's history record — totals, per-region and per-target counts, median salaries, top skills */
+function historyRecord(runDate, jobs, runs, groups) {
+  return {
+    ts: runDate.toISOString(),
+    ...jobCounts(jobs),
+    regions: Object.fromEntries(regionStats(groups).map(({ code, label, ...counts }) => [code, counts])),
+    targets: Object.fromEntries(runs.map(r => [r.target.id, jobCounts(r.jobs)])),
+    topSkills: skillCounts(Object.values(groups).flat())
+      .slice(0, HISTORY_TOP_SKILLS)
+      .map(([skill, count]) => ({ skill, count })),
+  };
+}
+
+/** Link to the history file, which lives in the first (primary) target */
+function historyUrl(targets) {
+  return `${targets[0].url}/blob/main/data/history.ndjson`;
+}
+
+/** Table cell for one target in one record — commit-linked when the hash is known */
+function historyCell(target, record) {
+  const total = record.targets?.[target.id]?.total;
+  if (total == null) return '—';
+  const hash = record.commits?.[target.id];
+  return hash
+    ? `[\`${hash.slice(0, 7)}\`](${target.url}/commit/${hash}) ${total.toLocaleString()}`
+    : total.toLocaleString();
+}
+
+/** history.md context — the last HISTORY_LIMIT records newest first, one column per target; null when empty */
+function historyContext(targets, history) {
+  const rows = history.slice(-HISTORY_LIMIT).reverse()
+    .map(record => ({ time: fmtDateTime(record.ts), cells: targets.map(t => historyCell(t, record)) }));
+  if (rows.length === 0) return null;
+  return {
+    count: rows.length,
+    url: historyUrl(targets),
+    commitsUrl: `${targets[0].url}/commits/main/`,
+    columns: targets.map(t => t.name),
+    rows,
+  };
+}
+
+/** Build the cross-repo update history markdown table — newest first, one column per target */
+function buildHistoryTable(targets, history, templates = README_TEMPLATES) {
+  return renderTemplate(templates, 'history', { history: historyContext(targets, history) });
+}
+
+/** Last record of each UTC day over the trailing `days` — one point per day keeps charts legible */
+function dailyPoints(history, days) {
+  const byDay = new Map();
+  for (const record of history) byDay.set(record.ts.slice(0, 10), record);
+  return [...byDay.values()].slice(-days);
+}
+
+/** Mermaid xychart block — `series` is [[kind, values]] with kind "bar" or "line" */
+function xychart(title, labels, yLabel, series) {
+  return `\`\`\`mermaid
+xychart-beta
+    title "${title}"
+    x-axis [${labels.map(l => `"${l}"`).join(', ')}]
+    y-axis "${yLabel}"
+${series.map(([kind, values]) => `    ${kind} [${values.join(', ')}]`).join('\n')}
+\`\`\``;
+}
+
+/** README "Trends" block for a target — open jobs and median salary per day, from history.ndjson */
+function trendSection(target, targets, history) {
+  const points = dailyPoints(history, TREND_DAYS).filter(r => r.targets?.[target.id]);
+  if (points.length < 2) return '';
+
+  const stats = points.map(r => r.targets[target.id]);
+  const labels = points.map(r => fmtDate(r.ts).replace(/-\d{4}$/, ''));
+  const jobSeries = [['bar', stats.map(s => s.total)]];
+  if (stats.every(s => s.withSalary != null)) jobSeries.push(['line', stats.map(s => s.withSalary)]);
+
+  const charts = [xychart(`Open jobs — last ${points.length} days`, labels, 'Jobs', jobSeries)];
+  if (stats.every(s => s.medianSalary)) {
+    charts.push(xychart('Median salary (USD, thousands/year)', labels, '$k', [['line', stats.map(s => Math.round(s.medianSalary / 1000))]]));
+  }
+
+  const legend = jobSeries.length > 1 ? 'Bars: open jobs · line: jobs with salary. ' : '';
+  return `## Trends
+
+${legend}One point per day from [\`data/history.ndjson\`](${historyUrl(targets)}).
+
+${charts.join('\n\n')}
+
+---
+
+`;
+}
+
+// ============================================================================
+// README CONTEXT (the data scripts/templates/main.md and region.md render)
+// ============================================================================
+
+/** Intro line under a region section heading */
+const REGION_BLURBS = {
+  WW: 'True remote — no location restriction.',
+};
+
+/** "Other Regions" links — every target except `self`; the hub entry gets no count */
+function otherTargets(self, runs) {
+  return runs
+    .filter(r => r.target !== self)
+    .map(({ target, jobs }) => ({ label: target.label, url: target.url, jobs: jobs.length, hub: target.template === 'main' }));
+}
+
+/** Lines linking the target's generated extras (site, browse pages, feeds) — listed under "Other Regions" */
+function extraLinks(target) {
+  const lines = [];
+  if (target.site) lines.push(`Filter and sort every job by region, skill and salary on the [website](${siteUrl(target)}).`);
+  if (target.pages) {
+    lines.push({ ...BROWSE_DEFAULTS, ...target.pages }.countries
+      ? 'Browse every job by [skill](skills/README.md), [seniority](seniority/README.md) or [country you can apply from](countries/README.md).'
+      : 'Browse every job by [skill](skills/README.md) or [seniority](seniority/README.md).');
+  }
+  if (target.companies) lines.push('See everything a single employer is hiring for in the [company directory](companies/README.md).');
+  if (target.feeds) lines.push('Subscribe to new jobs by region or skill: [Atom, RSS and JSON feeds](feeds/).');
+  return lines;
+}
+
+/** Jobs by Region rows — on-page sections first (linked to their anchor), then the regions other repos own */
+function regionRows(target, targets, groups) {
+  const onPage = target.sections;
+  const offPage = Object.keys(REGION_LABELS).filter(c => !onPage.includes(c));
+  return [...onPage, ...offPage].map(code => {
     const label = REGION_LABELS[code];
-    const jobs = groups[code] || [];
-    const sal = jobs.filter(j => j.salaryMin || j.salaryMax || j.salary).length;
-    const ver = jobs.filter(j => j.verifiedAt).length;
-    let linkedLabel;
-    if (code === 'EMEA') linkedLabel = `[${label}](https://github.com/7-of-9/wagey-gg-remote-tech-emea-jobs)`;
-    else if (code === 'APAC') linkedLabel = `[${label}](https://github.com/7-of-9/wagey-gg-remote-tech-apac-jobs)`;
-    else linkedLabel = `[${label}](#${code.toLowerCase()})`;
-    return `| ${linkedLabel} | ${jobs.length.toLocaleString()} | ${sal.toLocaleString()} | ${ver.toLocaleString()} |`;
+    const { total, withSalary, verified } = jobCounts(groups[code] || []);
+    const owner = regionOwner(code, targets.filter(t => t !== target));
+    let link = label;
+    if (onPage.includes(code)) link = `[${label}](#${code.toLowerCase()})`;
+    else if (owner) link = `[${label}](${owner.url})`;
+    return { code, label, link, jobs: total, withSalary, verified };
+  });
+}
+
+/**
+ * Data context for main.md and region.md (and their partials). Numbers are rendered with toLocaleString.
+ *   ref        — wagey.gg ?ref= tracking tag
+ *   hub        — true for the "main" template
+ *   updated    — "1-Mar-2026 22:04 UTC"
+ *   target     — {id, name, label, url}
+ *   totals     — {label, jobs, withSalary, verified} for the whole target
+ *   regions    — [{code, label, link, jobs, withSalary, verified}] (hub only, else null)
+ *   others     — [{label, url, jobs, hub}] every other target; extras — [markdown lines]
+ *   changes    — changes.md context (changesContext), null on the first run or when off
+ *   topJobs    — top-jobs.md context (topJobsContext), null when off
+ *   market     — market.md context (marketContext), null without jobs
+ *   sections   — [{anchor, label, count, blurb, block}] job lists (one, unlabelled, for region repos)
+ *   possiblyClosed — possibly-closed.md context (staleContext), null when no stale jobs are listed
+ *   trends     — prebuilt mermaid trend charts, '' before there's enough history
+ *   history    — history.md context, or null before the first run
+ */
+function readmeContext(run, runs, groups, logos, history) {
+  const { target, jobs } = run;
+  const targets = runs.map(r => r.target);
+  const hub = target.template === 'main';
+  const { total, withSalary, verified } = jobCounts(jobs);
+  return {
+    ref: REF,
+    hub,
+    updated: fmtDateTime(new Date().toISOString()),
+    target: { id: target.id, name: target.name, label: target.label, url: target.url },
+    totals: { label: hub ? 'Total' : target.label, jobs: total, withSalary, verified },
+    regions: hub ? regionRows(target, targets, groups) : null,
+    others: otherTargets(target, runs),
+    extras: extraLinks(target),
+    changes: changesContext(run, logos),
+    topJobs: topJobsContext(run, logos),
+    market: marketContext(run.stats),
+    sections: run.sections.map(({ code, jobs: sectionJobs, block }) => ({
+      anchor: code && code.toLowerCase(),
+      label: code && REGION_LABELS[code],
+      count: sectionJobs.length,
+      blurb: REGION_BLURBS[code] || null,
+      block,
+    })),
+    possiblyClosed: staleContext(run, logos),
+    trends: trendSection(target, targets, history).trimEnd(),
+    history: historyContext(targets, history),
+  };
+}
+
+function mainReadme(run, runs, groups, logos, history, templates = README_TEMPLATES) {
+  return renderTemplate(templates, 'main', readmeContext(run, runs, groups, logos, history));
+}
+
+function regionReadme(run, runs, logos, history, templates = README_TEMPLATES) {
+  return renderTemplate(templates, 'region', readmeContext(run, runs, {}, logos, history));
+}
+
+// ============================================================================
+// DATA JSON
+// ============================================================================
+
+function buildDataJson(jobs) {
+  return jobs.map(j => {
+    const isTeaser = j.visibility === 'teaser';
+    return {
+      id: j.id,
+      title: j.title,
+      company: isTeaser ? null : j.company,
+      region: jobRegion(j),
+      location: j.location || null,
+      locationDetails: parseLocation(j),
+      salary: fmtSalary(j),
+      salaryMin: j.salaryMin || null,
+      salaryMax: j.salaryMax || null,
+      salaryDetails: salaryModel(j),
+      skills: normalizeSkills(j.skills),
+      seniority: j.seniority || null,
+      ats: j.ats || null,
+      verifiedAt: j.verifiedAt || null,
+      scrapedAt: j.scrapedAt || null,
+      freshness: j.freshness || null,
+      url: isTeaser ? null : jobUrl(j),
+      // Other ATS postings of the same role — omitted for teasers since the URLs name the company
+      alternates: isTeaser ? [] : (j.duplicates || [])
+        .filter(d => d.visibility !== 'teaser')
+        .map(d => ({ id: d.id, ats: d.ats || null, url: jobUrl(d) })),
+      visibility: j.visibility || 'full',
+    };
+  });
+}
+
+// ============================================================================
+// RANKING (Top Jobs — weighted score per job, with the reasons it ranked)
+// ============================================================================
+
+const SORT_MODES = ['fresh', 'rank'];
+/** Default signal weights — a target's "ranking" overrides any of them */
+const RANK_WEIGHTS = { hot: 0.35, fresh: 0.25, salary: 0.2, verified: 0.1, logo: 0.1 };
+const TOP_JOBS_DEFAULTS = { limit: 20 };
+const FRESH_HALF_LIFE_HOURS = 24;
+const VERIFIED_HALF_LIFE_HOURS = 48;
+const SALARY_REFERENCE = 250_000; // Annual USD that earns the full salary-size signal
+const MAX_REASONS = 3;
+
+/** Signal thresholds (or, with `when`, a check on the job itself) that earn a job a "why it ranked" label */
+const RANK_REASONS = [
+  { signal: 'hot', min: 0.7, label: 'trending' },
+  { signal: 'fresh', min: 0.5, label: 'new' },
+  { signal: 'salary', min: 0.8, label: 'high salary' },
+  { signal: 'salary', min: 0.5, label: 'salary listed' },
+  { signal: 'verified', when: (job, now) => verifiedDays(job, now) === 0, label: 'verified today' },
+];
+
+/** Exponential decay — 1 now, 0.5 after `halfLife` hours, 0 when the date is missing or invalid */
+function decay(dateStr, halfLife, now) {
+  if (!dateStr) return 0;
+  const hours = (now - new Date(dateStr).getTime()) / 3_600_000;
+  if (Number.isNaN(hours)) return 0;
+  return 0.5 ** (Math.max(hours, 0) / halfLife);
+}
+
+/** Each ranking signal for a job, scaled 0–1 */
+function rankSignals(job, logos, now) {
+  const isTeaser = job.visibility === 'teaser';
+  return {
+    hot: Math.min(Math.max(job.hotScore || 0, 0), 1),
+    fresh: decay(job.scrapedAt, FRESH_HALF_LIFE_HOURS, now),
+    // Presence earns half, size (hourly and outliers count as 0 via salarySort) the rest
+    salary: hasSalary(job) ? 0.5 + 0.5 * Math.min(salarySort(job) / SALARY_REFERENCE, 1) : 0,
+    verified: decay(job.verifiedAt, VERIFIED_HALF_LIFE_HOURS, now),
+    logo: !isTeaser && logos[normalizeName(job.company)] ? 1 : 0,
+  };
+}
+
+/** Weighted score (0–1) and the strongest reasons, most influential first */
+function scoreJob(job, logos, weights, now = Date.now()) {
+  const signals = rankSignals(job, logos, now);
+  const total = Object.values(weights).reduce((sum, w) => sum + w, 0) || 1;
+  const score = Object.entries(weights).reduce((sum, [key, w]) => sum + w * signals[key], 0) / total;
+
+  const reasons = [];
+  for (const { signal, min, when, label } of RANK_REASONS) {
+    const earned = when ? when(job, now) : signals[signal] >= min;
+    if (!earned || !weights[signal] || reasons.some(r => r.signal === signal)) continue;
+    reasons.push({ signal, label, weight: weights[signal] * signals[signal] });
+  }
+  return {
+    score: Math.round(score * 1000) / 1000,
+    reasons: reasons.sort((a, b) => b.weight - a.weight).slice(0, MAX_REASONS).map(r => r.label),
+  };
+}
+
+/** Rank jobs best first → [{job, score, reasons}] — full listings always ahead of teasers */
+function rankJobs(jobs, logos, weights = RANK_WEIGHTS, now = Date.now()) {
+  return jobs
+    .map(job => ({ job, ...scoreJob(job, logos, weights, now) }))
+    .sort((a, b) => (a.job.visibility === 'teaser') - (b.job.visibility === 'teaser')
+      || b.score - a.score
+      || new Date(b.job.scrapedAt).getTime() - new Date(a.job.scrapedAt).getTime()
+      || String(a.job.id).localeCompare(String(b.job.id)));
+}
+
+/** Job order for a target's tables — freshness (default) or its ranking weights */
+function tableOrder(target, logos) {
+  if (target.sort !== 'rank') return sortJobs;
+  return jobs => rankJobs(jobs, logos, target.ranking).map(r => r.job);
+}
+
+/** top-jobs.md table rows — position, job, salary and why it ranked */
+function topJobRows(ranked, logos) {
+  return ranked.map(({ job, reasons }, i) => {
+    const teaser = job.visibility === 'teaser';
+    return {
+      rank: i + 1,
+      teaser,
+      company: teaser ? teaserMask(job) : companyCell(job, logos),
+      title: fmtRole(job.title),
+      salary: fmtSalary(job),
+      why: reasons.join(', ') || '—',
+      url: jobUrl(job, null),
+    };
+  });
+}
+
+/**
+ * top-jobs.md context — one ranked table per on-page region, in the target's section order
+ * ({label, count, rows}; a single unlabelled one for region repos). null when off.
+ */
+function topJobsContext(run, logos) {
+  const { target, listed } = run;
+  if (!target.topJobs || listed.length === 0) return null;
+  const { limit } = { ...TOP_JOBS_DEFAULTS, ...target.topJobs };
+  const top = jobs => topJobRows(rankJobs(jobs, logos, target.ranking).slice(0, limit), logos);
+
+  if (target.template === 'region') return { tables: [{ label: null, count: null, rows: top(listed) }] };
+  const groups = groupByRegion(listed);
+  const tables = target.sections
+    .filter(code => groups[code].length > 0)
+    .map(code => ({ label: REGION_LABELS[code], count: Math.min(limit, groups[code].length), rows: top(groups[code]) }));
+  return { tables };
+}
+
+// ============================================================================
+// MARKET STATS (data/stats.json — salary percentiles and demand per region)
+// ============================================================================
+
+const STATS_TOP_SKILLS = 20;
+const STATS_TOP_COMPANIES = 10;
+const SENIORITY_ORDER = ['intern', 'junior', 'mid', 'senior', 'staff', 'principal', 'lead', 'manager', 'director', 'executive'];
+
+/** Linearly interpolated percentile of an ascending list */
+function percentile(sorted, p) {
+  const i = (sorted.length - 1) * p;
+  const lo = Math.floor(i);
+  const hi = Math.ceil(i);
+  return Math.round(sorted[lo] + (sorted[hi] - sorted[lo]) * (i - lo));
+}
+
+/**
+ * p25/p50/p75 of annual USD salary midpoints. Low-confidence salaries (hourly, capped, no FX rate…)
+ * are left out so one bad record can't skew a benchmark; returns null when nothing is left.
+ */
+function salaryPercentiles(jobs) {
+  const mids = [];
+  for (const job of jobs) {
+    const m = salaryModel(job);
+    if (!m || m.confidence !== 'high') continue;
+    const lo = m.annualUsdMin || m.annualUsdMax;
+    const hi = m.annualUsdMax || m.annualUsdMin;
+    if (lo) mids.push(Math.round((lo + hi) / 2));
+  }
+  if (mids.length === 0) return null;
+  mids.sort((a, b) => a - b);
+  return { count: mids.length, p25: percentile(mids, 0.25), p50: percentile(mids, 0.5), p75: percentile(mids, 0.75) };
+}
+
+/** Seniority levels in career order; unknown labels follow alphabetically */
+function compareSeniority(a, b) {
+  const rank = s => {
+    const i = SENIORITY_ORDER.indexOf(s.toLowerCase());
+    return i === -1 ? SENIORITY_ORDER.length : i;
+  };
+  return rank(a) - rank(b) || a.localeCompare(b);
+}
+
+/** Benchmark numbers for one set of jobs — salary percentiles, skill demand, top companies, remote share */
+function marketStats(jobs) {
+  const bySeniority = new Map();
+  for (const job of jobs) {
+    if (!job.seniority) continue;
+    if (!bySeniority.has(job.seniority)) bySeniority.set(job.seniority, []);
+    bySeniority.get(job.seniority).push(job);
+  }
+
+  // Teaser companies are hidden on every page, so they stay out of the company ranking too.
+  // Spellings of one company ("Globex", "Globex Corporation") count together under the most common one.
+  const companies = new Map();
+  for (const job of jobs) {
+    const key = companyKey(job.company);
+    if (job.visibility === 'teaser' || !key) continue;
+    if (!companies.has(key)) companies.set(key, []);
+    companies.get(key).push(job.company);
+  }
+
+  const share = n => (jobs.length ? Math.round((n / jobs.length) * 1000) / 1000 : 0);
+  return {
+    total: jobs.length,
+    remoteShare: share(jobs.filter(j => j.isRemote).length),
+    salary: salaryPercentiles(jobs),
+    bySeniority: Object.fromEntries([...bySeniority.keys()].sort(compareSeniority)
+      .map(level => [level, { total: bySeniority.get(level).length, salary: salaryPercentiles(bySeniority.get(level)) }])),
+    topSkills: skillCounts(jobs).slice(0, STATS_TOP_SKILLS)
+      .map(([skill, count]) => ({ skill, category: canonicalSkill(skill).category, count, share: share(count) })),
+    topCompanies: [...companies.values()]
+      .map(names => ({ company: displayName(names), count: names.length }))
+      .sort((a, b) => b.count - a.count || a.company.localeCompare(b.company))
+      .slice(0, STATS_TOP_COMPANIES),
+  };
+}
+
+/** data/stats.json for a target — its listed jobs overall and per region */
+function buildStats(run, runDate) {
+  const groups = groupByRegion(run.listed);
+  return {
+    generatedAt: runDate.toISOString(),
+    fxDate: FX_RATES.date,
+    ...marketStats(run.listed),
+    regions: Object.fromEntries(Object.keys(REGION_LABELS)
+      .filter(code => groups[code].length > 0)
+      .map(code => [code, marketStats(groups[code])])),
+  };
+}
+
+/** P25 / median / P75 / count table cells, or dashes when no reliable salaries */
+function percentileCells(salary) {
+  if (!salary) return { p25: '—', median: '—', p75: '—', count: 0 };
+  return { p25: fmtK(salary.p25), median: fmtK(salary.p50), p75: fmtK(salary.p75), count: salary.count };
+}
+
+/** Top-N entries for a " · "-separated list — `last` marks the one that takes no separator */
+function listItems(entries) {
+  return entries.map(([name, count], i) => ({ name: esc(name), count, last: i === entries.length - 1 }));
+}
+
+/**
+ * market.md context from data/stats.json — salary bands by seniority (and region, when several),
+ * skills, companies; null without jobs
+ */
+function marketContext(stats) {
+  if (stats.total === 0) return null;
+  const regionCodes = Object.keys(stats.regions);
+  const pct = share => Math.round(share * 100);
+  return {
+    fxDate: stats.fxDate,
+    total: stats.total,
+    remote: pct(stats.remoteShare),
+    all: percentileCells(stats.salary),
+    levels: Object.entries(stats.bySeniority).map(([level, s]) => ({ label: esc(level), ...percentileCells(s.salary) })),
+    byRegion: regionCodes.length > 1
+      ? regionCodes.map(code => ({ label: REGION_LABELS[code], ...percentileCells(stats.regions[code].salary), remote: pct(stats.regions[code].remoteShare) }))
+      : null,
+    skills: listItems(stats.topSkills.map(s => [s.skill, s.count])),
+    companies: listItems(stats.topCompanies.map(c => [c.company, c.count])),
+  };
+}
+
+// ============================================================================
+// EXPORTS (data/jobs.csv, data/jobs.ndjson and data/jobs.sqlite for analysts)
+// ============================================================================
+
+const EXPORT_FORMATS = ['csv', 'ndjson', 'sqlite'];
+const EXPORT_DEFAULTS = { formats: EXPORT_FORMATS };
+
+/** Flat export columns — one value per column so CSV, NDJSON and SQL tools all agree on the schema */
+const EXPORT_COLUMNS = [
+  'id', 'title', 'company', 'region', 'seniority', 'salary', 'salaryMin', 'salaryMax',
+  'currency', 'period', 'annualUsdMin', 'annualUsdMax', 'salaryConfidence',
+  'skills', 'ats', 'verifiedAt', 'scrapedAt', 'stale', 'url', 'visibility',
+];
+
+/**
+ * Flat export rows from a run's published records (already teaser-redacted) — salary details
+ * become columns; skills stay canonical {name, category, confidence} objects.
+ */
+function exportRows(run) {
+  return run.data.map(record => {
+    const details = record.salaryDetails;
+    return {
+      id: record.id,
+      title: record.title,
+      company: record.company,
+      region: record.region || null,
+      seniority: record.seniority,
+      salary: record.salary || null,
+      salaryMin: record.salaryMin,
+      salaryMax: record.salaryMax,
+      currency: details?.currency ?? null,
+      period: details?.period ?? null,
+      annualUsdMin: details?.annualUsdMin ?? null,
+      annualUsdMax: details?.annualUsdMax ?? null,
+      salaryConfidence: details?.confidence ?? null,
+      skills: record.skills,
+      ats: record.ats,
+      verifiedAt: record.verifiedAt,
+      scrapedAt: record.scrapedAt,
+      stale: record.freshness?.stale ?? false,
+      url: record.url,
+      visibility: record.visibility,
+    };
+  });
+}
+
+/** RFC 4180 field — quoted when it contains a comma, quote or newline */
+function csvField(value) {
+  const s = value == null ? '' : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** data/jobs.csv — skills as "Python:0.95;AWS:0.8" so the scores survive a spreadsheet */
+function jobsCsv(rows) {
+  const lines = rows.map(row => EXPORT_COLUMNS.map(col => csvField(col === 'skills'
+    ? row.skills.map(s => (s.confidence == null ? s.name : `${s.name}:${s.confidence}`)).join(';')
+    : row[col])).join(','));
+  return [EXPORT_COLUMNS.join(','), ...lines].join('\n') + '\n';
+}
+
+/** data/jobs.ndjson — one compact row per line, same columns as the CSV */
+function jobsNdjson(rows) {
+  return rows.map(row => JSON.stringify(row)).join('\n') + '\n';
+}
+
+let sqliteModule;
+/** node:sqlite (Node 22.5+), loaded on first use — null on older Node */
+function loadSqlite() {
+  if (sqliteModule === undefined) {
+    try {
+      sqliteModule = createRequire(import.meta.url)('node:sqlite');
+    } catch {
+      sqliteModule = null;
+    }
+  }
+  return sqliteModule;
+}
+
+const SQLITE_SCHEMA = `
+CREATE TABLE meta (key TEXT PRIMARY KEY, value TEXT);
+CREATE TABLE companies (id INTEGER PRIMARY KEY, name TEXT NOT NULL UNIQUE);
+CREATE TABLE skills (id INTEGER PRIMARY KEY, name TEXT NOT NULL UNIQUE, category TEXT NOT NULL);
+CREATE TABLE jobs (
+  id TEXT PRIMARY KEY,
+  title TEXT NOT NULL,
+  company_id INTEGER REFERENCES companies(id),
+  region TEXT,
+  seniority TEXT,
+  salary TEXT,
+  salary_min INTEGER,
+  salary_max INTEGER,
+  currency TEXT,
+  period TEXT,
+  annual_usd_min INTEGER,
+  annual_usd_max INTEGER,
+  salary_confidence TEXT,
+  ats TEXT,
+  verified_at TEXT,
+  scraped_at TEXT,
+  stale INTEGER NOT NULL,
+  url TEXT,
+  visibility TEXT NOT NULL
+);
+CREATE TABLE job_skills (
+  job_id TEXT NOT NULL REFERENCES jobs(id),
+  skill_id INTEGER NOT NULL REFERENCES skills(id),
+  confidence REAL,
+  PRIMARY KEY (job_id, skill_id)
+);
+CREATE INDEX jobs_region ON jobs(region);
+CREATE INDEX jobs_seniority ON jobs(seniority);
+CREATE INDEX jobs_company ON jobs(company_id);
+CREATE INDEX jobs_annual_usd_max ON jobs(annual_usd_max);
+CREATE INDEX job_skills_skill ON job_skills(skill_id);
+CREATE INDEX skills_category ON skills(category);
+`;
+
+/**
+ * data/jobs.sqlite — normalized jobs, companies, skills (with category) and job_skills (with confidence) tables.
+ * Built in a temp file and returned as a Buffer; null when node:sqlite isn't available.
+ */
+function jobsSqlite(rows, generatedAt) {
+  const sqlite = loadSqlite();
+  if (!sqlite) return null;
+
+  const path = join(tmpdir(), `wagey-jobs-${process.pid}-${Date.now()}.sqlite`);
+  const db = new sqlite.DatabaseSync(path);
+  try {
+    db.exec(SQLITE_SCHEMA);
+    const insertMeta = db.prepare('INSERT INTO meta (key, value) VALUES (?, ?)');
+    insertMeta.run('generatedAt', generatedAt.toISOString());
+    insertMeta.run('fxDate', FX_RATES.date);
+
+    const idOf = (table, columns) => {
+      const ids = new Map();
+      const insert = db.prepare(`INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`);
+      return (name, ...rest) => {
+        if (!ids.has(name)) ids.set(name, Number(insert.run(name, ...rest).lastInsertRowid));
+        return ids.get(name);
+      };
+    };
+    const companyId = idOf('companies', ['name']);
+    const skillId = idOf('skills', ['name', 'category']);
+    const insertJob = db.prepare(`INSERT INTO jobs VALUES (${Array(19).fill('?').join(', ')})`);
+    const insertSkill = db.prepare('INSERT OR IGNORE INTO job_skills (job_id, skill_id, confidence) VALUES (?, ?, ?)');
+
+    db.exec('BEGIN');
+    for (const row of rows) {
+      insertJob.run(
+        row.id, row.title, row.company ? companyId(row.company) : null, row.region, row.seniority,
+        row.salary, row.salaryMin, row.salaryMax, row.currency, row.period, row.annualUsdMin, row.annualUsdMax,
+        row.salaryConfidence, row.ats, row.verifiedAt, row.scrapedAt, row.stale ? 1 : 0, row.url, row.visibility,
+      );
+      for (const skill of row.skills) insertSkill.run(row.id, skillId(skill.name, skill.category), skill.confidence);
+    }
+    db.exec('COMMIT');
+  } finally {
+    db.close();
+  }
+  const content = readFileSync(path);
+  rmSync(path, { force: true });
+  return content;
+}
+
+/** Export files for a target → [{path, content}] in the formats it enables */
+function buildExports(run, generatedAt) {
+  const rows = exportRows(run);
+  const { formats } = run.target.exports;
+  const files = [];
+  if (formats.includes('csv')) files.push({ path: join('data', 'jobs.csv'), content: jobsCsv(rows) });
+  if (formats.includes('ndjson')) files.push({ path: join('data', 'jobs.ndjson'), content: jobsNdjson(rows) });
+  if (formats.includes('sqlite')) {
+    const db = jobsSqlite(rows, generatedAt);
+    if (db) files.push({ path: join('data', 'jobs.sqlite'), content: db });
+    else console.warn(`  ${run.target.name}: data/jobs.sqlite skipped — node:sqlite needs Node 22.5+`);
+  }
+  return files;
+}
+
+// ============================================================================
+// FEEDS (Atom, RSS 2.0, JSON Feed 1.1 — per region group and per popular skill)
+// ============================================================================
+
+const FEED_DEFAULTS = { skills: 25, limit: 100 };
+const FEED_FORMATS = [
+  { ext: 'atom.xml', label: 'Atom', build: atomFeed },
+  { ext: 'rss.xml', label: 'RSS', build: rssFeed },
+  { ext: 'feed.json', label: 'JSON Feed', build: jsonFeed },
+];
+const PRICING_URL = `https://wagey.gg/pricing?ref=${REF}`;
+
+/** Escape text for XML element content and attributes */
+function escXml(str) {
+  return String(str ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[c]);
+}
+
+/** File-safe slug for a skill — keeps "C++" and "C#" apart from "C" */
+function skillSlug(skill) {
+  return slugify(skill.replace(/\+/g, 'plus').replace(/#/g, 'sharp'));
+}
+
+/** Raw-file base URL for a target's feeds, e.g. https://raw.githubusercontent.com/org/repo/main/feeds */
+function feedBaseUrl(target) {
+  if (target.feeds.baseUrl) return target.feeds.baseUrl.replace(/\/+$/, '');
+  return `${target.url.replace('https://github.com/', 'https://raw.githubusercontent.com/')}/main/feeds`;
+}
+
+/** [[skill, jobCount]] across jobs, most frequent first */
+function skillCounts(jobs) {
+  const counts = new Map();
+  for (const job of jobs) {
+    for (const skill of new Set(parseSkills(job.skills))) counts.set(skill, (counts.get(skill) || 0) + 1);
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]);
+}
+
+/** Most common skills across jobs, most frequent first */
+function popularSkills(jobs, n) {
+  return skillCounts(jobs).slice(0, n).map(([skill]) => skill);
+}
+
+/** Newest-first published records (already teaser-redacted by buildDataJson), capped at `limit` */
+function feedEntries(jobs, limit) {
+  return buildDataJson(sortJobs(jobs).slice(0, limit));
+}
+
+/** Entry title/link/summary — teasers keep the role but hide the company and apply link */
+function feedItem(record) {
+  const isTeaser = record.visibility === 'teaser';
+  const skills = record.skills.map(s => s.name);
+  const parts = [
+    isTeaser ? 'Company hidden — Pro members only' : record.company,
+    REGION_LABELS[record.region] || record.region,
+    record.seniority,
+    record.salary,
+    skills.length > 0 ? `Skills: ${skills.join(', ')}` : '',
+  ].filter(Boolean);
+  return {
+    id: `urn:wagey:job:${record.id}`,
+    title: isTeaser ? record.title : `${record.title} at ${record.company}`,
+    url: record.url || PRICING_URL,
+    summary: parts.join(' · '),
+    date: new Date(record.scrapedAt || Date.now()),
+    tags: skills,
+  };
+}
+
+function atomFeed(feed, items) {
+  const entries = items.map(item => `  <entry>
+    <id>${escXml(item.id)}</id>
+    <title>${escXml(item.title)}</title>
+    <link rel="alternate" href="${escXml(item.url)}"/>
+    <updated>${item.date.toISOString()}</updated>
+    <summary>${escXml(item.summary)}</summary>
+${item.tags.map(t => `    <category term="${escXml(t)}"/>\n`).join('')}  </entry>`);
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escXml(feed.url('atom.xml'))}</id>
+  <title>${escXml(feed.title)}</title>
+  <subtitle>${escXml(feed.description)}</subtitle>
+  <link rel="self" type="application/atom+xml" href="${escXml(feed.url('atom.xml'))}"/>
+  <link rel="alternate" type="text/html" href="${escXml(feed.homeUrl)}"/>
+  <updated>${feed.updated.toISOString()}</updated>
+  <author><name>wagey.gg</name><uri>https://wagey.gg?ref=${REF}</uri></author>
+${entries.join('\n')}
+</feed>
+`;
+}
+
+function rssFeed(feed, items) {
+  const entries = items.map(item => `    <item>
+      <title>${escXml(item.title)}</title>
+      <link>${escXml(item.url)}</link>
+      <guid isPermaLink="false">${escXml(item.id)}</guid>
+      <pubDate>${item.date.toUTCString()}</pubDate>
+      <description>${escXml(item.summary)}</description>
+${item.tags.map(t => `      <category>${escXml(t)}</category>\n`).join('')}    </item>`);
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escXml(feed.title)}</title>
+    <link>${escXml(feed.homeUrl)}</link>
+    <description>${escXml(feed.description)}</description>
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>
+    <atom:link href="${escXml(feed.url('rss.xml'))}" rel="self" type="application/rss+xml"/>
+${entries.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+function jsonFeed(feed, items) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.url('feed.json'),
+    description: feed.description,
+    authors: [{ name: 'wagey.gg', url: `https://wagey.gg?ref=${REF}` }],
+    items: items.map(item => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      content_text: item.summary,
+      date_published: item.date.toISOString(),
+      tags: item.tags,
+    })),
+  }, null, 2);
+}
+
+/**
+ * Build every feed for a target → [{path, content}] relative to the target repo.
+ * One feed set per region the target covers, plus one per popular skill among its jobs.
+ */
+function buildFeeds(run, groups, updated) {
+  const { target } = run;
+  const { skills: skillCount, limit } = { ...FEED_DEFAULTS, ...target.feeds };
+  const base = feedBaseUrl(target);
+
+  const sets = [];
+  for (const code of target.filter.regions || Object.keys(REGION_LABELS)) {
+    const jobs = (groups[code] || []).filter(j => matchesFilter(j, target.filter));
+    sets.push({ dir: 'regions', slug: code.toLowerCase(), name: REGION_LABELS[code], title: `${REGION_LABELS[code]} remote tech jobs`, jobs });
+  }
+  for (const skill of popularSkills(run.listed, skillCount)) {
+    const jobs = run.listed.filter(j => parseSkills(j.skills).includes(skill));
+    sets.push({ dir: 'skills', slug: skillSlug(skill), name: skill, title: `${skill} jobs — ${target.label}`, jobs });
+  }
+
+  const files = [];
+  for (const set of sets) {
+    const feed = {
+      title: `${set.title} | wagey.gg`,
+      description: `Newest ${set.title.replace(/ — .*/, '')} from wagey.gg, updated hourly.`,
+      homeUrl: target.url,
+      updated,
+      url: ext => `${base}/${set.dir}/${set.slug}.${ext}`,
+    };
+    const items = feedEntries(set.jobs, limit).map(feedItem);
+    for (const format of FEED_FORMATS) {
+      files.push({ path: join('feeds', set.dir, `${set.slug}.${format.ext}`), content: format.build(feed, items) });
+    }
+    set.count = set.jobs.length;
+  }
+
+  files.push({ path: join('feeds', 'README.md'), content: feedsIndex(target, sets) });
+  return files;
+}
+
+/** feeds/README.md — one row per feed set with links to each format */
+function feedsIndex(target, sets) {
+  const row = set => {
+    const links = FEED_FORMATS.map(f => `[${f.label}](${set.dir}/${set.slug}.${f.ext})`).join(' · ');
+    return `| ${esc(set.name)} | ${set.count.toLocaleString()} | ${links} |`;
+  };
+  const table = rows => `| Feed | Jobs | Formats |\n|------|------|---------|\n${rows.map(row).join('\n')}`;
+
+  return `# Job Feeds — ${target.label}
+
+Subscribe in any feed reader or Slack's RSS app. Each feed holds the newest jobs and is regenerated hourly.
+
+## By Region
+
+${table(sets.filter(s => s.dir === 'regions'))}
+
+## By Skill
+
+${table(sets.filter(s => s.dir === 'skills'))}
+`;
+}
+
+// ============================================================================
+// STATIC SITE (docs/ for GitHub Pages — client-side filtering over a compact job index)
+// ============================================================================
+
+const SITE_DEFAULTS = { skills: 30 };
+const SITE_ASSET_DIR = join(__dirname, 'site');
+const SITE_ASSETS = ['app.js', 'style.css'];
+const SITE_FIELDS = ['id', 'title', 'company', 'mask', 'region', 'location', 'remote', 'salary', 'annualUsd', 'skills', 'seniority', 'scrapedAt', 'url', 'stale'];
+
+/** Public GitHub Pages URL — owner.github.io/repo unless the target's "site" sets {url} */
+function siteUrl(target) {
+  if (target.site.url) return target.site.url.replace(/\/*$/, '/');
+  const [, owner, repo] = target.url.match(/github\.com\/([^/]+)\/([^/]+)/) || [];
+  return owner ? `https://${owner}.github.io/${repo}/` : 'docs/index.html';
+}
+
+/**
+ * Compact index the site filters in the browser: one array per job (SITE_FIELDS order) with
+ * companies and skills stored once and referenced by position. Teasers get a mask and no company,
+ * logo or link — the page shows the Pro link instead, like applyCell. Possibly closed jobs ("stale":
+ * "section") are included with `stale` set.
+ */
+function siteIndex(run, logos, updated) {
+  const { target } = run;
+  const listed = [...run.listed, ...(run.stale || [])];
+  const { skills: chipCount } = { ...SITE_DEFAULTS, ...target.site };
+  const companies = [];
+  const companyIds = new Map();
+  const skills = [];
+  const skillIds = new Map();
+  const intern = (map, list, value) => {
+    if (!map.has(value)) map.set(value, list.push(value) - 1);
+    return map.get(value);
+  };
+
+  const jobs = sortJobs(listed).map(job => {
+    const isTeaser = job.visibility === 'teaser';
+    return [
+      job.id,
+      job.title,
+      isTeaser ? -1 : intern(companyIds, companies, job.company),
+      isTeaser ? teaserMask(job) : '',
+      jobRegion(job),
+      fmtLocation(job),
+      job.isRemote ? 1 : 0,
+      fmtSalary(job),
+      salarySort(job),
+      parseSkills(job.skills).map(skill => intern(skillIds, skills, skill)),
+      job.seniority || '',
+      Math.floor(new Date(job.scrapedAt).getTime() / 1000) || 0,
+      isTeaser ? '' : jobUrl(job),
+      job.freshness?.stale ? 1 : 0,
+    ];
+  });
+
+  const groups = groupByRegion(listed);
+  return {
+    title: target.label,
+    updated: updated.toISOString(),
+    readmeUrl: target.url,
+    pricingUrl: PRICING_URL,
+    placeholderLogo: PLACEHOLDER_LOGO,
+    regions: Object.keys(REGION_LABELS)
+      .filter(code => groups[code].length > 0)
+      .map(code => ({ code, label: REGION_LABELS[code], count: groups[code].length })),
+    chips: popularSkills(listed, chipCount),
+    fields: SITE_FIELDS,
+    companies: companies.map(name => ({ name, logo: logoUrl(name, logos) })),
+    skills,
+    jobs,
+  };
+}
+
+function siteHtml(target, updated) {
+  const title = `Remote Tech Jobs — ${escXml(target.label)}`;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title}</title>
+<link rel="stylesheet" href="style.css">
+</head>
+<body>
+<header>
+  <h1>${title}</h1>
+  <p>Updated ${escXml(fmtDateTime(updated.toISOString()))} · <a href="${escXml(target.url)}">README</a> · Apply in one click at <a href="https://wagey.gg?ref=${REF}">wagey.gg</a></p>
+</header>
+<nav id="regions" aria-label="Regions"></nav>
+<section id="filters">
+  <input id="search" type="search" placeholder="Filter by role, company or location" aria-label="Filter jobs">
+  <label for="salary">Min salary <output id="salary-value">Any</output></label>
+  <input id="salary" type="range" min="0" max="400000" step="10000" value="0">
+  <label><input id="remote" type="checkbox"> Fully remote only</label>
+  <div id="chips" aria-label="Skills"></div>
+</section>
+<p id="count" aria-live="polite"></p>
+<table id="jobs">
+  <thead><tr>
+    <th data-sort="company">Company</th><th data-sort="title">Role</th><th data-sort="salary">Salary</th><th data-sort="age">Age</th><th></th>
+  </tr></thead>
+  <tbody></tbody>
+</table>
+<button id="more" type="button" hidden>Show more</button>
+<noscript><p>The filterable table needs JavaScript — browse the <a href="${escXml(target.url)}">README</a> instead.</p></noscript>
+<script src="jobs-index.js"></script>
+<script src="app.js"></script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Build docs/ for a target → [{path, content}]. The index ships as jobs-index.js (the JSON assigned
+ * to window.JOB_INDEX) so the page also works opened straight from disk, where fetch() is blocked.
+ */
+function buildSite(run, logos, updated) {
+  const index = siteIndex(run, logos, updated);
+  return [
+    { path: join('docs', 'index.html'), content: siteHtml(run.target, updated) },
+    { path: join('docs', 'jobs-index.js'), content: `window.JOB_INDEX = ${JSON.stringify(index)};\n` },
+    { path: join('docs', '.nojekyll'), content: '' },
+    ...SITE_ASSETS.map(name => ({ path: join('docs', name), content: readFileSync(join(SITE_ASSET_DIR, name), 'utf-8') })),
+  ];
+}
+
+// ============================================================================
+// PAGINATION (README sections overflow into regions/<slug>/page-N.md)
+// ============================================================================
+
+const PAGE_SIZE = 500; // Rows per markdown page (~175 KB) — keeps each file well inside GitHub's render limit
+
+/** Split jobs into consecutive pages of `size` — always at least one (possibly empty) page */
+function paginate(jobs, size) {
+  const pages = [];
+  for (let i = 0; i < jobs.length; i += size) pages.push(jobs.slice(i, i + size));
+  return pages.length > 0 ? pages : [[]];
+}
+
+/** "← Prev · Page 2 of 5 · Next →" — `href(n)` builds the link to page n */
+function pageNav(n, total, href) {
+  const parts = [];
+  if (n > 1) parts.push(`[← Prev](${href(n - 1)})`);
+  parts.push(`Page ${n} of ${total}`);
+  if (n < total) parts.push(`[Next →](${href(n + 1)})`);
+  return parts.join(' · ');
+}
+
+/** "Showing 501–1,000 of 11,373 jobs." for a page starting at `offset` */
+function showingLine(offset, count, total) {
+  if (total === 0) return 'No jobs currently listed.';
+  return `Showing ${(offset + 1).toLocaleString()}–${(offset + count).toLocaleString()} of ${total.toLocaleString()} jobs.`;
+}
+
+/**
+ * Paginate one README job list: page 1 renders inline, the rest go to `regions/<slug>/page-N.md`.
+ * Returns { block, files } — the README block (showing line, table, nav) and the overflow pages.
+ */
+function paginatedSection(slug, title, jobs, logos, pageSize, anchor, order = sortJobs) {
+  const pages = paginate(order(jobs), pageSize);
+  const fromReadme = n => (n === 1 ? `#${anchor}` : `regions/${slug}/page-${n}.md`);
+  const fromPage = n => (n === 1 ? `../../README.md#${anchor}` : `page-${n}.md`);
+
+  const files = pages.slice(1).map((pageJobs, i) => {
+    const n = i + 2;
+    const nav = pageNav(n, pages.length, fromPage);
+    return {
+      path: join('regions', slug, `page-${n}.md`),
+      content: `# ${title} (${jobs.length.toLocaleString()})
+
+[↑ Back to README](../../README.md#${anchor}) · ${nav}
+
+${showingLine((n - 1) * pageSize, pageJobs.length, jobs.length)}
+
+${jobTable(pageJobs, logos, pageSize, order)}
+${nav}
+`,
+    };
+  });
+
+  const showing = jobs.length > 0 ? `${showingLine(0, pages[0].length, jobs.length)}\n\n` : '';
+  const nav = pages.length > 1 ? `\n${pageNav(1, pages.length, fromReadme)}\n` : '';
+  return { block: `${showing}${jobTable(pages[0], logos, pageSize, order)}${nav}`, files };
+}
+
+/** README job sections for a run — one per on-page region (main template) or a single list (region template) */
+function buildSections(run, groups, logos) {
+  const { target } = run;
+  const order = tableOrder(target, logos);
+  if (target.template === 'region') {
+    return [{ code: null, jobs: run.jobs, ...paginatedSection(target.id, target.label, run.jobs, logos, target.pageSize, 'jobs', order) }];
   }
+  return target.sections.map(code => {
+    const jobs = (groups[code] || []).filter(j => matchesFilter(j, target.filter));
+    const slug = code.toLowerCase();
+    return { code, jobs, ...paginatedSection(slug, REGION_LABELS[code], jobs, logos, target.pageSize, slug, order) };
+  });
+}
 
-  /* Top Jobs section — commented out for now, may revisit
-  const topJobs = allJobs
-    .filter(j => j.visibility !== 'teaser')
-    .sort((a, b) => (b.hotScore || 0) - (a.hotScore || 0))
-    .slice(0, 20);
-  */
+// ============================================================================
+// BROWSE PAGES (skills/, seniority/ and countries/ — paginated job tables with an index)
+// ============================================================================
 
-  return `# Remote Tech Jobs — Updated Hourly
+const BROWSE_DEFAULTS = { skills: 50, countries: true };
 
-> Every job is checked against the employer's live careers page. Every job can be applied to in one click at [wagey.gg](https://wagey.gg?ref=${REF}).
+/**
+ * Render one browse group (e.g. all "Go" jobs) as `<dir>/<slug>/README.md` plus `page-N.md` overflow pages.
+ * Returns [{path, content}] relative to the target repo.
+ */
+function browseGroupPages(dir, group, logos, pageSize, order = sortJobs) {
+  const pages = paginate(order(group.jobs), pageSize);
+  const href = n => (n === 1 ? 'README.md' : `page-${n}.md`);
 
-## Jobs by Region
+  return pages.map((pageJobs, i) => {
+    const n = i + 1;
+    const nav = pageNav(n, pages.length, href);
+    return {
+      path: join(dir, group.slug, href(n)),
+      content: `# ${esc(group.name)} Jobs (${group.jobs.length.toLocaleString()})
 
-| Region | Jobs | With Salary | Verified |
-|--------|------|-------------|----------|
-${regionOrder.map(c => regionRow(c)).join('\n')}
-| **Total as of ${now}** | **${totalJobs.toLocaleString()}** | **${totalSalary.toLocaleString()}** | **${totalVerified.toLocaleString()}** |
+[↑ All ${dir}](../README.md) · ${nav}
 
-> Upload your CV at [wagey.gg](https://wagey.gg?ref=${REF}) for smart matching and one-click apply.
+${group.intro ? `${group.intro}\n\n` : ''}${showingLine(i * pageSize, pageJobs.length, group.jobs.length)}
 
-## How It Works
+${jobTable(pageJobs, logos, pageSize, order)}
+${nav}
+`,
+    };
+  });
+}
 
-1. **Scrape** thousands of job boards, company career pages, and ATS platforms daily
-2. **Verify** every job is still live on the employer's site — dead links are removed automatically
-3. **Tag** each job with skills, seniority, salary, and region using AI extraction
-4. **Apply** in one click via [wagey.gg](https://wagey.gg?ref=${REF}) — upload your CV once, then auto-apply to any job
+/** `<dir>/README.md` — every group with its job count, largest first */
+function browseIndex(title, column, groups, target) {
+  const rows = groups.map(g => `| [${esc(g.name)}](${g.slug}/README.md) | ${g.jobs.length.toLocaleString()} |`);
+  return `# ${title} — ${target.label}
 
-## Other Regions
+[← Back to README](../README.md)
 
-- [**Europe & Middle East**](https://github.com/7-of-9/wagey-gg-remote-tech-emea-jobs) — ${(groups.EMEA?.length || 0).toLocaleString()} jobs
-- [**Asia-Pacific**](https://github.com/7-of-9/wagey-gg-remote-tech-apac-jobs) — ${(groups.APAC?.length || 0).toLocaleString()} jobs
+| ${column} | Jobs |
+|---|---|
+${rows.join('\n')}
+`;
+}
 
----
+/**
+ * Country groups for countries/ — jobs open to candidates living in each country, plus "Anywhere"
+ * for remote jobs with no restriction (listed once there rather than on every country page).
+ */
+function countryGroups(listed) {
+  const anywhere = listed.filter(j => parseLocation(j).anywhere);
+  const byCountry = new Map();
+  for (const job of listed) {
+    for (const code of parseLocation(job).countries) {
+      if (!byCountry.has(code)) byCountry.set(code, []);
+      byCountry.get(code).push(job);
+    }
+  }
+  const anywhereNote = anywhere.length > 0
+    ? ` ${anywhere.length.toLocaleString()} more remote jobs accept candidates from [anywhere](../anywhere/README.md).`
+    : '';
+  const countries = [...byCountry.entries()]
+    .map(([code, jobs]) => {
+      const name = COUNTRIES[code][0];
+      return { name, slug: slugify(name), jobs, intro: `Jobs you can apply to while living in ${name}.${anywhereNote}` };
+    })
+    .sort((a, b) => b.jobs.length - a.jobs.length || a.name.localeCompare(b.name));
+  const open = { name: 'Anywhere', slug: 'anywhere', jobs: anywhere, intro: 'Remote jobs with no country or timezone restriction.' };
+  return [open, ...countries].filter(g => g.jobs.length > 0);
+}
 
-## <a id="ww"></a>Remote Worldwide (${(groups.WW?.length || 0).toLocaleString()})
+/**
+ * Give browse groups unique slugs, in order — a name that slugifies like an earlier one ("Mid-Level" /
+ * "Mid Level") or to nothing gets a numeric suffix instead of overwriting that group's pages.
+ */
+function uniqueSlugs(groups) {
+  const seen = new Set();
+  return groups.map(group => {
+    const base = group.slug || 'other';
+    let slug = base;
+    for (let n = 2; seen.has(slug); n++) slug = `${base}-${n}`;
+    seen.add(slug);
+    return { ...group, slug };
+  });
+}
 
-True remote — no location restriction.
+/** Build skills/, seniority/ and (unless "countries": false) countries/ browse pages for a target → [{path, content}] */
+function buildBrowsePages(run, logos) {
+  const { target, listed } = run;
+  const { skills: skillCount, countries } = { ...BROWSE_DEFAULTS, ...target.pages };
+
+  const skillGroups = popularSkills(listed, skillCount).map(skill => ({
+    name: skill,
+    slug: skillSlug(skill),
+    jobs: listed.filter(j => parseSkills(j.skills).includes(skill)),
+  }));
+
+  const bySeniority = new Map();
+  for (const job of listed) {
+    if (!job.seniority) continue;
+    if (!bySeniority.has(job.seniority)) bySeniority.set(job.seniority, []);
+    bySeniority.get(job.seniority).push(job);
+  }
+  const seniorityGroups = [...bySeniority.entries()]
+    .map(([name, jobs]) => ({ name, slug: slugify(name), jobs }))
+    .sort((a, b) => b.jobs.length - a.jobs.length);
+
+  const dirs = [['skills', 'Jobs by Skill', 'Skill', skillGroups], ['seniority', 'Jobs by Seniority', 'Seniority', seniorityGroups]];
+  if (countries) dirs.push(['countries', 'Jobs by Country', 'Country', countryGroups(listed)]);
+
+  const files = [];
+  for (const [dir, title, column, named] of dirs) {
+    const groups = uniqueSlugs(named);
+    files.push({ path: join(dir, 'README.md'), content: browseIndex(title, column, groups, target) });
+    for (const group of groups) files.push(...browseGroupPages(dir, group, logos, target.pageSize, tableOrder(target, logos)));
+  }
+  return files;
+}
 
-${jobTable(groups.WW, logos)}
+// ============================================================================
+// COMPANY DIRECTORY (companies/ — every hiring company, one page each)
+// ============================================================================
 
----
+const COMPANY_DEFAULTS = { minJobs: 1, skills: 5 };
 
-## <a id="na"></a>North America (${(groups.NA?.length || 0).toLocaleString()})
+/** The most frequent spelling of a company name ("Acme" over "ACME"), first seen on ties */
+function displayName(names) {
+  const counts = new Map();
+  for (const name of names) counts.set(name, (counts.get(name) || 0) + 1);
+  return [...counts.entries()].reduce((best, entry) => (entry[1] > best[1] ? entry : best))[0];
+}
 
-${jobTable(groups.NA, logos)}
+/** Legal forms ignored when grouping companies ("Globex Corporation" is "Globex") */
+const LEGAL_SUFFIX = /[\s,]+(inc|incorporated|corp|corporation|co|company|llc|ltd|limited|gmbh|ag|sa|plc|bv|pty)\.?$/i;
 
----
+/** Grouping key for a company — normalizeName of the name without its legal form */
+function companyKey(name) {
+  let base = (name || '').trim();
+  while (LEGAL_SUFFIX.test(base)) base = base.replace(LEGAL_SUFFIX, '');
+  return normalizeName(base);
+}
 
-## <a id="latam"></a>Latin America (${(groups.LATAM?.length || 0).toLocaleString()})
+/**
+ * Would a published record have been listed? The same cut as groupByRegion — no garbage titles, WW only
+ * when remote (records carry the parsed work mode rather than isRemote) — and not stale.
+ */
+function wasListed(record) {
+  if (isGarbageJob(record) || record.freshness?.stale) return false;
+  return record.region !== 'WW' || record.locationDetails?.workMode === 'remote';
+}
 
-${jobTable(groups.LATAM, logos)}
+/** Listed non-teaser published records per companyKey → Map(key → count) */
+function companyCounts(records) {
+  const counts = new Map();
+  for (const r of records) {
+    if (!r.company || r.visibility === 'teaser' || !wasListed(r)) continue;
+    const key = companyKey(r.company);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return counts;
+}
 
----
+/**
+ * A target's listed non-teaser jobs grouped by company (keyed with companyKey) → [{key, name, slug, jobs, change}],
+ * most open roles first. `change` is the open-role difference since the previous publish (null on the first run).
+ */
+function companyGroups(run, minJobs) {
+  const byKey = new Map();
+  for (const job of run.listed) {
+    const key = companyKey(job.company);
+    if (!key || job.visibility === 'teaser') continue;
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(job);
+  }
+  const before = run.previous ? companyCounts(run.previous) : null;
+  const slugs = new Set();
+
+  return [...byKey.entries()]
+    .filter(([, jobs]) => jobs.length >= minJobs)
+    .map(([key, jobs]) => ({
+      key,
+      name: displayName(jobs.map(j => j.company)),
+      jobs,
+      change: before ? jobs.length - (before.get(key) || 0) : null,
+    }))
+    .sort((a, b) => b.jobs.length - a.jobs.length || a.name.localeCompare(b.name))
+    .map(company => {
+      // Two spellings can slugify alike ("Globex" / "Globex!") — the normalized key keeps them apart
+      let slug = slugify(company.name) || company.key;
+      if (slugs.has(slug)) slug = `${slug}-${company.key}`;
+      slugs.add(slug);
+      return { ...company, slug };
+    });
+}
 
-${historyTable}
+/** +3 / -2 / ±0, or an empty string on the first run */
+function fmtChange(change) {
+  if (change == null) return '';
+  return change > 0 ? `+${change}` : change < 0 ? `-${-change}` : '±0';
+}
 
-*Updated automatically every hour. Powered by [wagey.gg](https://wagey.gg?ref=${REF}).*
-`;
+/** "$90k–$180k/year" across a company's high-confidence salaries, or null when none list one */
+function salaryRange(jobs) {
+  const models = jobs.map(salaryModel).filter(m => m?.confidence === 'high');
+  const lows = models.map(m => m.annualUsdMin || m.annualUsdMax).filter(Boolean);
+  const highs = models.map(m => m.annualUsdMax || m.annualUsdMin).filter(Boolean);
+  if (lows.length === 0) return null;
+  const low = Math.min(...lows);
+  const high = Math.max(...highs);
+  return low === high ? `${fmtK(low)}/year` : `${fmtK(low)}–${fmtK(high)}/year`;
 }
 
-function regionReadme(regionCode, regionLabel, jobs, allGroups, logos, historyTable) {
-  const totalJobs = jobs.length;
-  const withSalary = jobs.filter(j => j.salaryMin || j.salaryMax || j.salary).length;
-  const verified = jobs.filter(j => j.verifiedAt).length;
-  const now = fmtDateTime(new Date().toISOString());
+/** Distinct values, most common first */
+function byFrequency(values) {
+  const counts = new Map();
+  for (const v of values) if (v) counts.set(v, (counts.get(v) || 0) + 1);
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([v]) => v);
+}
 
-  return `# Remote Tech Jobs — ${regionLabel} — Updated Hourly
+/** Region names a company hires in, most roles first */
+function companyRegions(jobs) {
+  return byFrequency(jobs.map(jobRegion)).map(code => REGION_LABELS[code] || code);
+}
 
-> Every job is checked against the employer's live careers page. Every job can be applied to in one click at [wagey.gg](https://wagey.gg?ref=${REF}).
+function companyJobTable(jobs) {
+  const rows = jobs.map(job => {
+    const mode = WORK_MODE_ICONS[parseLocation(job).workMode];
+    const where = [locationLabel(job), jobRegion(job)].filter(Boolean).map(esc).join(' • ');
+    const skills = parseSkills(job.skills).slice(0, 3).join(', ');
+    return `| ${fmtRole(job.title)} | ${mode} ${where} | ${fmtSalary(job)} | ${esc(skills)} | ${esc(job.ats || '')} | ${fmtAge(job.scrapedAt)} | ${applyCell(job)} |`;
+  });
+  return ['| Role | Location | Salary | Skills | ATS | Age | |', '|------|----------|--------|--------|-----|-----|---|', ...rows].join('\n') + '\n';
+}
 
-| | Jobs | With Salary | Verified |
-|--|------|-------------|----------|
-| **${regionLabel} as of ${now}** | **${totalJobs.toLocaleString()}** | **${withSalary.toLocaleString()}** | **${verified.toLocaleString()}** |
+/** `companies/<slug>/README.md` (+ page-N.md) — summary, then every open role across regions */
+function companyPages(company, logos, pageSize, order, skillCount) {
+  const { name, jobs, change } = company;
+  const pages = paginate(order(jobs), pageSize);
+  const href = n => (n === 1 ? 'README.md' : `page-${n}.md`);
+  const changeNote = change == null ? '' : ` (${fmtChange(change)} since the last update)`;
+  const salary = salaryRange(jobs);
+  const withSalary = jobs.filter(hasSalary).length;
+  const summary = [
+    `**${jobs.length.toLocaleString()} open role${jobs.length === 1 ? '' : 's'}**${changeNote} · ${companyRegions(jobs).join(', ')}`,
+    `Salary range: ${salary ? `${salary} (${withSalary} of ${jobs.length} roles list a salary)` : 'not listed'}`,
+    `Top skills: ${popularSkills(jobs, skillCount).map(esc).join(', ') || '—'}`,
+    `Hiring through: ${byFrequency(jobs.map(j => j.ats)).map(esc).join(', ') || '—'}`,
+  ].join('  \n');
+
+  return pages.map((pageJobs, i) => {
+    const n = i + 1;
+    const nav = pageNav(n, pages.length, href);
+    return {
+      path: join('companies', company.slug, href(n)),
+      content: `# <img src="${logoUrl(name, logos)}" alt="" height="32"> ${esc(name)}
 
-> Upload your CV at [wagey.gg](https://wagey.gg?ref=${REF}) for smart matching and one-click apply.
+[↑ All companies](../README.md) · ${nav}
 
-## Other Regions
+${summary}
 
-- [**All regions (main list)**](https://github.com/7-of-9/wagey-gg-remote-tech-jobs)
-${regionCode !== 'EMEA' ? `- [**Europe & Middle East**](https://github.com/7-of-9/wagey-gg-remote-tech-emea-jobs) — ${(allGroups.EMEA?.length || 0).toLocaleString()} jobs\n` : ''}${regionCode !== 'APAC' ? `- [**Asia-Pacific**](https://github.com/7-of-9/wagey-gg-remote-tech-apac-jobs) — ${(allGroups.APAC?.length || 0).toLocaleString()} jobs\n` : ''}
----
+${showingLine(i * pageSize, pageJobs.length, jobs.length)}
 
-## Jobs
+${companyJobTable(pageJobs)}
+${nav}
+`,
+    };
+  });
+}
 
-${jobTable(jobs, logos)}
+/** `companies/README.md` — every hiring company, most open roles first */
+function companyIndex(companies, target, logos, skillCount) {
+  const rows = companies.map(c => {
+    const logo = `<img src="${logoUrl(c.name, logos)}" alt="" height="16">`;
+    const skills = popularSkills(c.jobs, skillCount).map(esc).join(', ');
+    return `| ${logo} [${esc(c.name)}](${c.slug}/README.md) | ${c.jobs.length.toLocaleString()} | ${fmtChange(c.change)} | ${companyRegions(c.jobs).join(', ')} | ${skills} |`;
+  });
+  const roles = companies.reduce((sum, c) => sum + c.jobs.length, 0);
+  return `# Hiring Companies — ${target.label}
 
----
+[← Back to README](../README.md)
 
-${historyTable}
+${companies.length.toLocaleString()} companies with ${roles.toLocaleString()} open roles. Change is since the previous update; roles for Pro members (company hidden) are not listed.
 
-*Updated automatically every hour. Powered by [wagey.gg](https://wagey.gg?ref=${REF}).*
+| Company | Open roles | Change | Regions | Top skills |
+|---|---|---|---|---|
+${rows.join('\n')}
 `;
 }
 
+/** Build companies/ for a target → [{path, content}] */
+function buildCompanyPages(run, logos) {
+  const { target } = run;
+  const { minJobs, skills } = { ...COMPANY_DEFAULTS, ...target.companies };
+  const companies = companyGroups(run, minJobs);
+  const order = tableOrder(target, logos);
+  return [
+    { path: join('companies', 'README.md'), content: companyIndex(companies, target, logos, skills) },
+    ...companies.flatMap(company => companyPages(company, logos, target.pageSize, order, skills)),
+  ];
+}
+
 // ============================================================================
-// DATA JSON
+// CHANGELOG (diff against the previously published data/jobs.json)
 // ============================================================================
 
-function buildDataJson(jobs) {
-  return jobs.map(j => {
-    const isTeaser = j.visibility === 'teaser';
-    return {
-      id: j.id,
-      title: j.title,
-      company: isTeaser ? null : j.company,
-      region: j.region,
-      salary: fmtSalary(j),
-      salaryMin: j.salaryMin || null,
-      salaryMax: j.salaryMax || null,
-      skills: parseSkills(j.skills),
-      seniority: j.seniority || null,
-      ats: j.ats || null,
-      verifiedAt: j.verifiedAt || null,
-      scrapedAt: j.scrapedAt || null,
-      url: isTeaser ? null : jobUrl(j),
-      visibility: j.visibility || 'full',
-    };
+/** Published fields that count as a change when they differ between runs */
+const CHANGE_FIELDS = ['title', 'company', 'region', 'salaryMin', 'salaryMax', 'seniority', 'visibility'];
+const CHANGES_KEEP = 168; // One week of hourly changelogs per repo
+const CHANGES_README_LIMIT = 20;
+
+/** Read a previously published jobs.json — null on first run or if unreadable */
+function readPreviousJobs(path) {
+  if (!existsSync(path)) return null;
+  try {
+    return JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (err) {
+    console.warn(`  Could not read ${path}: ${err.message} — skipping changelog`);
+    return null;
+  }
+}
+
+/** Diff two published job lists by id → {added, removed, changed} */
+function diffJobs(previous, current) {
+  const prevById = new Map(previous.map(j => [j.id, j]));
+  const currentIds = new Set(current.map(j => j.id));
+  const added = [];
+  const changed = [];
+
+  for (const job of current) {
+    const old = prevById.get(job.id);
+    if (!old) {
+      added.push(job);
+      continue;
+    }
+    const fields = {};
+    for (const f of CHANGE_FIELDS) {
+      const from = old[f] ?? null;
+      const to = job[f] ?? null;
+      if (from !== to) fields[f] = { from, to };
+    }
+    if (Object.keys(fields).length > 0) changed.push({ id: job.id, title: job.title, fields });
+  }
+
+  const removed = previous
+    .filter(j => !currentIds.has(j.id))
+    .map(j => ({ id: j.id, title: j.title, company: j.company ?? null, region: j.region ?? null }));
+
+  return { added, removed, changed };
+}
+
+/** Changelog file name — sortable and filesystem-safe, e.g. "2026-03-01T22-04Z.json" */
+function changesFileName(date) {
+  return `${date.toISOString().slice(0, 16).replace(':', '-')}Z.json`;
+}
+
+/** Delete all but the newest `keep` changelogs in a data/changes directory */
+function pruneChanges(dir, keep = CHANGES_KEEP) {
+  if (DRY_RUN || !existsSync(dir)) return;
+  const files = readdirSync(dir).filter(f => f.endsWith('.json')).sort();
+  for (const f of files.slice(0, Math.max(0, files.length - keep))) {
+    unlinkSync(join(dir, f));
+  }
+}
+
+/**
+ * changes.md context — new and closed jobs since the previous run, null on the first run.
+ * newJobs is a job-table context (null when nothing was added); closed lists at most CHANGES_README_LIMIT.
+ */
+function changesContext(run, logos) {
+  if (!run.changes) return null;
+  const { added, removed, changed } = run.changes;
+  const addedIds = new Set(added.map(j => j.id));
+  const newJobs = run.jobs.filter(j => addedIds.has(j.id));
+  return {
+    added: added.length,
+    removed: removed.length,
+    updated: changed.length,
+    newJobs: added.length > 0 ? jobTableContext(newJobs, logos, CHANGES_README_LIMIT) : null,
+    closed: removed.slice(0, CHANGES_README_LIMIT)
+      .map(j => ({ title: esc(j.title), company: j.company ? esc(j.company) : null, region: j.region || null })),
+    moreClosed: Math.max(0, removed.length - CHANGES_README_LIMIT),
+  };
+}
+
+// ============================================================================
+// SAVED SEARCHES (filters over published data/jobs.json records — shared with search-jobs.mjs)
+// ============================================================================
+
+/** Annual USD of a published record — hourly and outlier salaries count as 0, like salarySort */
+function annualSalary(record) {
+  const d = record.salaryDetails;
+  if (d?.flags?.includes('hourly') || d?.flags?.includes('capped')) return 0;
+  return d?.annualUsdMax || d?.annualUsdMin || record.salaryMax || record.salaryMin || 0;
+}
+
+/** Case-insensitive "is `value` one of `wanted`" */
+function oneOf(value, wanted) {
+  const v = (value || '').toLowerCase();
+  return wanted.some(w => w.toLowerCase() === v);
+}
+
+/**
+ * Does a published record satisfy a saved-search filter? Same keys as publish.config.json filters
+ * plus ats, verifiedWithinDays, title (all words must appear) and countries (ISO codes a candidate
+ * applies from — remote-anywhere jobs match every country). An empty filter matches everything.
+ */
+function matchesSearch(record, filter, now = Date.now()) {
+  if (filter.regions && !oneOf(record.region || 'WW', filter.regions)) return false;
+  if (filter.seniority && !oneOf(record.seniority, filter.seniority)) return false;
+  if (filter.ats && !oneOf(record.ats, filter.ats)) return false;
+  if (filter.skills && !hasAnySkill(record.skills || [], filter.skills)) return false;
+  if (filter.minSalary && annualSalary(record) < filter.minSalary) return false;
+  if (filter.countries) {
+    const { anywhere = false, countries = [] } = record.locationDetails || {};
+    if (!anywhere && !filter.countries.some(c => countries.includes(c.toUpperCase()))) return false;
+  }
+  if (filter.verifiedWithinDays != null) {
+    const verified = new Date(record.verifiedAt).getTime();
+    if (!record.verifiedAt || Number.isNaN(verified) || now - verified > filter.verifiedWithinDays * DAY_MS) return false;
+  }
+  if (filter.title) {
+    const title = (record.title || '').toLowerCase();
+    if (!filter.title.toLowerCase().split(/\s+/).filter(Boolean).every(word => title.includes(word))) return false;
+  }
+  return true;
+}
+
+/** Read saved-searches.json → { name: { filter, target?, email?, webhook? } } ({} when missing) */
+function loadSavedSearches(path) {
+  if (!existsSync(path)) return {};
+  const saved = JSON.parse(readFileSync(path, 'utf-8'));
+  if (!saved || typeof saved !== 'object' || Array.isArray(saved)) throw new Error(`${path}: expected an object of named searches`);
+  return saved;
+}
+
+// ============================================================================
+// ALERTS (per saved search: digest.md, digest.eml and webhook.json of newly matching jobs)
+// ============================================================================
+
+const ALERT_LIMIT = 50; // Jobs listed per digest — the rest are summarized as "and N more"
+const ALERT_FROM = process.env.ALERTS_FROM || 'wagey.gg alerts <alerts@wagey.gg>';
+const WEBHOOK_TIMEOUT_MS = 10_000;
+
+/**
+ * Jobs matching a search now that did not match in the target's previous publish — new postings
+ * and existing ones that changed into the filter. Null on the target's first run (nothing to compare).
+ */
+function newMatches(filter, run, now = Date.now()) {
+  if (!run.previous) return null;
+  const before = new Set(run.previous.filter(r => matchesSearch(r, filter, now)).map(r => r.id));
+  const ids = new Set(run.data.filter(r => matchesSearch(r, filter, now) && !before.has(r.id)).map(r => r.id));
+  return sortJobs(run.jobs.filter(j => ids.has(j.id)));
+}
+
+/** One digest line item — teasers keep their company and link hidden, as on every other page */
+function alertItem(job) {
+  const isTeaser = job.visibility === 'teaser';
+  return {
+    id: job.id,
+    title: job.title,
+    company: isTeaser ? null : job.company,
+    region: job.region || 'WW',
+    salary: fmtSalary(job) || null,
+    skills: topSkills(job),
+    url: isTeaser ? PRICING_URL : jobUrl(job),
+  };
+}
+
+function alertSubject(name, total) {
+  return `${total.toLocaleString()} new ${total === 1 ? 'job' : 'jobs'} for "${name}"`;
+}
+
+/** "Senior Rust Engineer at Globex — €83k–€111k · Rust, Kubernetes" */
+function alertLine(item) {
+  const company = item.company || 'a Pro-only company';
+  const details = [item.salary, item.skills].filter(Boolean).join(' · ');
+  return `${item.title} at ${company}${details ? ` — ${details}` : ''}`;
+}
+
+function moreLine(items, total) {
+  return total > items.length ? `…and ${(total - items.length).toLocaleString()} more.` : '';
+}
+
+function digestMarkdown(name, items, total, now) {
+  const lines = items.map(item => `- [${esc(item.title)}](${item.url}) at ${esc(item.company || 'a Pro-only company')}${
+    [item.salary, item.skills].filter(Boolean).map(d => ` — ${esc(d)}`).join('')}`);
+  const more = moreLine(items, total);
+  return `# ${alertSubject(name, total)}
+
+New matches since the previous update, as of ${now}.
+
+${lines.join('\n')}
+${more ? `\n${more}\n` : ''}`;
+}
+
+function digestText(name, items, total, now) {
+  const lines = items.map(item => `* ${alertLine(item)}\n  ${item.url}`);
+  const more = moreLine(items, total);
+  return `${alertSubject(name, total)} — ${now}\n\n${lines.join('\n\n')}\n${more ? `\n${more}\n` : ''}`;
+}
+
+function digestHtml(name, items, total, now) {
+  const rows = items.map(item => {
+    const company = escXml(item.company || 'a Pro-only company');
+    const details = [item.salary, item.skills].filter(Boolean).map(escXml).join(' · ');
+    return `<li><a href="${escXml(item.url)}">${escXml(item.title)}</a> at ${company}${details ? ` — ${details}` : ''}</li>`;
   });
+  const more = moreLine(items, total);
+  return `<!DOCTYPE html>
+<html><body>
+<h1>${escXml(alertSubject(name, total))}</h1>
+<p>New matches since the previous update, as of ${escXml(now)}.</p>
+<ul>
+${rows.join('\n')}
+</ul>
+${more ? `<p>${escXml(more)}</p>\n` : ''}</body></html>
+`;
+}
+
+/** RFC 2047 encoded-word for header values that aren't plain ASCII */
+function mimeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf-8').toString('base64')}?=`;
+}
+
+/** multipart/alternative email (plain text + HTML) with CRLF line endings, ready for sendmail */
+function mimeMessage({ from, to, subject, date, text, html, boundary }) {
+  const part = (type, body) => [
+    `--${boundary}`,
+    `Content-Type: ${type}; charset=utf-8`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    Buffer.from(body, 'utf-8').toString('base64').replace(/.{76}/g, '$&\r\n'),
+  ].join('\r\n');
+  return [
+    `From: ${from}`,
+    ...(to ? [`To: ${to}`] : []),
+    `Subject: ${mimeHeader(subject)}`,
+    `Date: ${date.toUTCString().replace('GMT', '+0000')}`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    part('text/plain', text),
+    part('text/html', html),
+    `--${boundary}--`,
+    '',
+  ].join('\r\n');
+}
+
+/**
+ * Digests for every saved search with new matches → { files, hooks, summary }.
+ * Files are relative to the alerts directory; hooks are the webhook POSTs to make.
+ */
+function buildAlerts(searches, runs, runDate) {
+  const now = fmtDateTime(runDate.toISOString());
+  const files = [];
+  const hooks = [];
+  const summary = {};
+
+  for (const [name, search] of Object.entries(searches)) {
+    const run = search.target ? runs.find(r => r.target.id === search.target) : runs[0];
+    if (!run) {
+      console.warn(`  Saved search "${name}": unknown target "${search.target}" — skipped`);
+      continue;
+    }
+    const matches = newMatches(search.filter || {}, run, runDate.getTime());
+    summary[name] = matches?.length ?? null;
+    if (!matches?.length) continue;
+
+    const items = matches.slice(0, ALERT_LIMIT).map(alertItem);
+    const total = matches.length;
+    const dir = slugify(name);
+    const payload = {
+      search: name,
+      target: run.target.id,
+      filter: search.filter || {},
+      generatedAt: runDate.toISOString(),
+      count: total,
+      jobs: items,
+    };
+
+    files.push(
+      { path: join(dir, 'digest.md'), content: digestMarkdown(name, items, total, now) },
+      {
+        path: join(dir, 'digest.eml'),
+        content: mimeMessage({
+          from: ALERT_FROM,
+          to: search.email,
+          subject: alertSubject(name, total),
+          date: runDate,
+          text: digestText(name, items, total, now),
+          html: digestHtml(name, items, total, now),
+          boundary: `wagey-${dir}-${runDate.getTime()}`,
+        }),
+      },
+      { path: join(dir, 'webhook.json'), content: JSON.stringify(payload, null, 2) },
+    );
+    if (search.webhook) hooks.push({ name, url: search.webhook, payload });
+  }
+
+  files.push({ path: 'index.json', content: JSON.stringify({ generatedAt: runDate.toISOString(), newMatches: summary }, null, 2) });
+  return { files, hooks, summary };
+}
+
+/** POST each digest payload — failures are logged, never fatal to the publish */
+async function deliverWebhooks(hooks) {
+  for (const { name, url, payload } of hooks) {
+    if (DRY_RUN) {
+      console.log(`  [dry-run] Would POST ${payload.count} jobs for "${name}" to ${url}`);
+      continue;
+    }
+    try {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      });
+      console.log(`  Webhook "${name}": HTTP ${res.status}`);
+    } catch (err) {
+      console.warn(`  Webhook "${name}" failed: ${err.message}`);
+    }
+  }
 }
 
 // ============================================================================
 // WRITE FILES
 // ============================================================================
 
+/** Directories the publisher may generate — a target only owns the ones its run writes */
+const GENERATED_DIRS = ['regions', 'feeds', 'skills', 'seniority', 'countries', 'companies', 'docs'];
+
+/**
+ * Generated directories a run owns, from the paths renderRun produced — these are emptied first so dropped
+ * pages and feeds don't linger. regions/ is always owned (README overflow can shrink to no pages);
+ * docs/ only with "site", so a hand-written docs/ folder is never touched.
+ */
+function outputDirs(target, files) {
+  const dirs = new Set(['regions']);
+  for (const { path } of files) {
+    const [top] = path.split(/[\\/]/);
+    if (GENERATED_DIRS.includes(top) && (top !== 'docs' || target.site)) dirs.add(top);
+  }
+  return GENERATED_DIRS.filter(dir => dirs.has(dir));
+}
+
+/** Empty a generated output directory so dropped pages/feeds don't linger */
+function resetDir(path) {
+  if (DRY_RUN) return;
+  rmSync(path, { recursive: true, force: true });
+}
+
+/** Write a string (UTF-8) or Buffer, creating parent directories */
 function writeFile(path, content) {
   if (DRY_RUN) {
     console.log(`  [dry-run] Would write ${path} (${content.length} bytes)`);
     return;
   }
   mkdirSync(dirname(path), { recursive: true });
-  writeFileSync(path, content, 'utf-8');
+  writeFileSync(path, content, typeof content === 'string' ? 'utf-8' : undefined);
   console.log(`  Wrote ${path} (${content.length} bytes)`);
 }
 
+// ============================================================================
+// PUBLISH (git commit + push — every target repo commits before any of them pushes)
+// ============================================================================
+
+const GIT_DEFAULTS = { name: 'wagey-bot', email: 'bot@wagey.gg', remote: 'origin', branch: 'main', pushRetries: 3 };
+const GIT_TIMEOUT_MS = 120_000;
+const MANIFEST_FILE = 'data/run-manifest.json';
+/** What every target repo publishes, plus its run's outputDirs — anything else (scripts, config) is never staged */
+const PUBLISHED_PATHS = ['README.md', 'LICENSE', 'data'];
+
+/** Run git in `repo` → trimmed stdout. `author` commits as the bot; failures throw with git's stderr */
+function git(repo, args, author = null) {
+  const env = author
+    ? { ...process.env, GIT_AUTHOR_NAME: author.name, GIT_AUTHOR_EMAIL: author.email, GIT_COMMITTER_NAME: author.name, GIT_COMMITTER_EMAIL: author.email }
+    : process.env;
+  try {
+    return execFileSync('git', args, { cwd: repo, env, encoding: 'utf-8', timeout: GIT_TIMEOUT_MS, stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+  } catch (err) {
+    throw new Error(`git ${args[0]} failed in ${repo}: ${(err.stderr || err.message).trim()}`);
+  }
+}
+
+/** Current HEAD, or null in a repo without commits */
+function headHash(repo) {
+  try {
+    return git(repo, ['rev-parse', '--verify', '-q', 'HEAD']);
+  } catch {
+    return null;
+  }
+}
+
+/** Stage a target's published paths and `dirs` and commit them → the new commit hash, or null when nothing changed */
+function commitTarget(target, message, author, dirs = []) {
+  const repo = target.path;
+  const paths = [...PUBLISHED_PATHS, ...dirs].filter(p => existsSync(join(repo, p)) || git(repo, ['ls-files', '--', p]));
+  git(repo, ['add', '-A', '--', ...paths]);
+  if (!git(repo, ['diff', '--cached', '--name-only'])) return null;
+  git(repo, ['commit', '-q', '-m', message], author);
+  return git(repo, ['rev-parse', 'HEAD']);
+}
+
+/**
+ * Push HEAD to the target's branch. When the remote moved on, rebase onto it — our freshly generated
+ * files win any conflict — and retry, up to `pushRetries` attempts → the hash that was pushed.
+ */
+function pushTarget(target, gitConfig) {
+  const { remote, branch, pushRetries } = gitConfig;
+  for (let attempt = 1; ; attempt++) {
+    try {
+      git(target.path, ['push', '-q', remote, `HEAD:${branch}`]);
+      return git(target.path, ['rev-parse', 'HEAD']);
+    } catch (err) {
+      const rejected = /non-fast-forward|fetch first|\[rejected\]/i.test(err.message);
+      if (!rejected || attempt >= pushRetries) throw err;
+      console.warn(`  ${target.name}: push rejected — rebasing onto ${remote}/${branch} (attempt ${attempt}/${pushRetries})`);
+      git(target.path, ['pull', '-q', '--rebase', '-X', 'theirs', remote, branch], gitConfig);
+    }
+  }
+}
+
+/**
+ * data/run-manifest.json — the commit every target repo got for this run. It is committed to the primary
+ * repo, so the primary's own commit is the one that contains it (commit: null here).
+ */
+function runManifest(runDate, runs, commits, changed) {
+  return {
+    ts: runDate.toISOString(),
+    targets: Object.fromEntries(runs.map((run, i) => [run.target.id, {
+      commit: i === 0 ? null : commits[run.target.id] ?? null,
+      changed: i === 0 || changed.has(run),
+      total: run.jobs.length,
+    }])),
+  };
+}
+
+function writeManifest(run, manifest) {
+  writeFile(join(run.target.path, MANIFEST_FILE), JSON.stringify(manifest, null, 2) + '\n');
+}
+
+/** Undo this run's local commits (files stay staged) — used when a later repo fails to commit */
+function rollbackCommits(made, heads) {
+  for (const run of made) {
+    const head = heads.get(run);
+    git(run.target.path, head ? ['reset', '-q', '--soft', head] : ['update-ref', '-d', 'HEAD']);
+    console.warn(`  ${run.target.name}: rolled back this run's commit`);
+  }
+}
+
+/**
+ * Commit every target repo, then (with `push`) push them. Nothing is pushed unless every repo committed;
+ * a failed commit rolls back the ones already made. The primary repo goes last because its run manifest
+ * names the others' final commits — it is amended if a rebase moved them. → { [targetId]: hash }
+ */
+function publishRuns(runs, runDate, gitConfig, { push }) {
+  const [primary, ...others] = runs;
+  const heads = new Map(runs.map(run => [run, headHash(run.target.path)]));
+  const commits = {};
+  const made = new Set();
+
+  try {
+    for (const run of others) {
+      const hash = commitTarget(run.target, run.commitMsg, gitConfig, run.outputDirs);
+      if (hash) made.add(run);
+      commits[run.target.id] = hash || heads.get(run); // Unchanged repos point at what's already published
+      console.log(`  ${run.target.name}: ${hash ? `committed ${hash.slice(0, 7)}` : 'no changes'}`);
+    }
+    writeManifest(primary, runManifest(runDate, runs, commits, made));
+    commits[primary.target.id] = commitTarget(primary.target, primary.commitMsg, gitConfig, primary.outputDirs);
+    made.add(primary);
+    console.log(`  ${primary.target.name}: committed ${commits[primary.target.id].slice(0, 7)} (with ${MANIFEST_FILE})`);
+  } catch (err) {
+    rollbackCommits(made, heads);
+    throw err;
+  }
+  if (!push) return commits;
+
+  let moved = false;
+  for (const run of others) {
+    if (!made.has(run)) continue;
+    const pushed = pushTarget(run.target, gitConfig);
+    if (pushed !== commits[run.target.id]) moved = true;
+    commits[run.target.id] = pushed;
+    console.log(`  ${run.target.name}: pushed ${pushed.slice(0, 7)}`);
+  }
+  if (moved) {
+    writeManifest(primary, runManifest(runDate, runs, commits, made));
+    git(primary.target.path, ['add', '--', MANIFEST_FILE]);
+    git(primary.target.path, ['commit', '-q', '--amend', '--no-edit'], gitConfig);
+  }
+  commits[primary.target.id] = pushTarget(primary.target, gitConfig);
+  console.log(`  ${primary.target.name}: pushed ${commits[primary.target.id].slice(0, 7)}`);
+  return commits;
+}
+
 // ============================================================================
 // MAIN
 // ============================================================================
 
+/** Fill a commit-message format like "{total} jobs | {verified} verified — {now}" */
+function formatCommitMessage(format, jobs, changes, now) {
+  const values = {
+    added: (changes?.added.length || 0).toLocaleString(),
+    removed: (changes?.removed.length || 0).toLocaleString(),
+    changed: (changes?.changed.length || 0).toLocaleString(),
+    total: jobs.length.toLocaleString(),
+    withSalary: jobs.filter(hasSalary).length.toLocaleString(),
+    verified: jobs.filter(isVerified).length.toLocaleString(),
+    teasers: jobs.filter(j => j.visibility === 'teaser').length.toLocaleString(),
+    duplicates: countMerged(jobs).toLocaleString(),
+    now,
+  };
+  return format.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match);
+}
+
+/**
+ * Select a target's jobs, diff them against its previous publish and format its commit message.
+ * `stale` ("stale": "section") fills the target's "Possibly Closed" list; those jobs stay in the published
+ * data, flagged by `freshness`, so the changelog doesn't report them as closed.
+ */
+function planRun(target, jobs, groups, previous, now, stale = null) {
+  const targetJobs = selectTargetJobs(target, jobs, groups);
+  const staleGroups = stale ? groupByRegion(stale) : null;
+  const staleJobs = stale ? selectTargetJobs(target, stale, staleGroups) : [];
+  const data = buildDataJson([...targetJobs, ...staleJobs]);
+  const changes = previous ? diffJobs(previous, data) : null;
+  return {
+    target,
+    jobs: targetJobs,
+    listed: listedJobs(target, groups),
+    stale: stale ? listedJobs(target, staleGroups) : [],
+    data,
+    previous,
+    changes,
+    commitMsg: formatCommitMessage(target.commitMessage, targetJobs, changes, now),
+  };
+}
+
+/** Render every file a target publishes → [{path, content}] relative to the target repo */
+function renderRun(run, runs, groups, logos, history, runDate) {
+  const { target } = run;
+  run.sections = buildSections(run, groups, logos);
+  run.stats = buildStats(run, runDate);
+  const readme = target.template === 'main'
+    ? mainReadme(run, runs, groups, logos, history)
+    : regionReadme(run, runs, logos, history);
+
+  const files = [
+    { path: 'README.md', content: readme },
+    ...run.sections.flatMap(section => section.files),
+    { path: join('data', 'jobs.json'), content: JSON.stringify(run.data, null, 2) },
+    { path: join('data', 'stats.json'), content: JSON.stringify(run.stats, null, 2) },
+  ];
+  if (run.changes) {
+    files.push({
+      path: join('data', 'changes', changesFileName(runDate)),
+      content: JSON.stringify({
+        generatedAt: runDate.toISOString(),
+        counts: { added: run.changes.added.length, removed: run.changes.removed.length, changed: run.changes.changed.length },
+        ...run.changes,
+      }, null, 2),
+    });
+  }
+  if (target.feeds) files.push(...buildFeeds(run, groups, runDate));
+  if (target.pages) files.push(...buildBrowsePages(run, logos));
+  if (target.companies) files.push(...buildCompanyPages(run, logos));
+  if (target.site) files.push(...buildSite(run, logos, runDate));
+  if (target.exports) files.push(...buildExports(run, runDate));
+  files.push({ path: join('data', 'commit-msg.txt'), content: run.commitMsg });
+  return files;
+}
+
 async function main() {
   console.log(`\n=== wagey.gg GitHub Job Publisher ===`);
-  console.log(`API: ${API_BASE}`);
+  console.log(FIXTURE ? `Fixture: ${FIXTURE}` : `API: ${API_BASE}`);
   console.log(`User: ${USER_ID}`);
-  console.log(`Dry run: ${DRY_RUN}\n`);
+  console.log(`Config: ${CONFIG_PATH}`);
+  console.log(`Dry run: ${DRY_RUN}`);
+  if (!FIXTURE) console.log(`Fetch cache: ${FULL_FETCH ? 'ignored (--full)' : FETCH_CACHE_PATH}`);
+  console.log('');
 
-  const { jobs, meta } = await fetchJobs();
+  const { targets, quality, guardrails, freshness, git: gitConfig, alerts } = loadConfig(CONFIG_PATH);
+  const fetched = FIXTURE ? await readFixture(FIXTURE) : await fetchJobs();
+  const { meta } = fetched;
 
-  if (jobs.length === 0) {
+  if (fetched.jobs.length === 0) {
     console.error('No jobs fetched — aborting');
     process.exit(1);
   }
 
+  console.log('\n--- Validating jobs ---');
+  const { accepted, report } = validateJobs(fetched.jobs, fetched.duplicateIds);
+  logQuality(report);
+  if (report.rejectRate > quality.maxRejectRate) {
+    console.error(`Reject rate ${(report.rejectRate * 100).toFixed(2)}% exceeds maxRejectRate ${(quality.maxRejectRate * 100).toFixed(2)}% — aborting`);
+    console.error(JSON.stringify(report.samples, null, 2));
+    process.exit(1);
+  }
+
+  console.log('\n--- Merging duplicate postings ---');
+  const deduped = dedupeJobs(accepted);
+  const { merged } = deduped;
+  console.log(`  ${merged} duplicate postings merged — ${deduped.jobs.length} unique jobs`);
+
+  // Jobs nobody has re-verified within their window are listed as possibly closed, or dropped
+  console.log('\n--- Freshness ---');
+  const runDate = new Date();
+  const { fresh: jobs, stale } = applyFreshness(deduped.jobs, freshness, runDate.getTime());
+  console.log(`  ${stale.length} jobs not re-verified within ${freshness.maxAgeDays} days (or their region/ATS window) — ${freshness.stale === 'exclude' ? 'excluded' : 'listed as possibly closed'}`);
+  const staleKept = freshness.stale === 'section' ? stale : null;
+  const qualityReport = {
+    generatedAt: runDate.toISOString(),
+    maxRejectRate: quality.maxRejectRate,
+    malformedLines: fetched.badLines,
+    ...report,
+    duplicatesMerged: merged,
+    stale: stale.length,
+    published: jobs.length + (staleKept?.length || 0),
+  };
+
   const logos = (meta && meta.companyLogos) || {};
   console.log(`Company logos: ${Object.keys(logos).length} companies with logos`);
 
@@ -622,53 +3699,102 @@ async function main() {
   console.log('\nRegion breakdown:');
   for (const [code, label] of Object.entries(REGION_LABELS)) {
     const g = groups[code] || [];
-    const sal = g.filter(j => j.salaryMin || j.salaryMax || j.salary).length;
-    const ver = g.filter(j => j.verifiedAt).length;
+    const sal = g.filter(hasSalary).length;
+    const ver = g.filter(isVerified).length;
     console.log(`  ${label}: ${g.length} jobs (${sal} with salary, ${ver} verified)`);
   }
-  console.log(`  TOTAL: ${jobs.length} jobs`);
-
-  // Headline stats for commit messages
-  const totalSalary = jobs.filter(j => j.salaryMin || j.salaryMax || j.salary).length;
-  const totalVerified = jobs.filter(j => j.verifiedAt).length;
-  const teaserCount = jobs.filter(j => j.visibility === 'teaser').length;
-  const now = fmtDateTime(new Date().toISOString());
-  const emeaCount = (groups.EMEA || []).length;
-  const apacCount = (groups.APAC || []).length;
-
-  const mainMsg = `${jobs.length.toLocaleString()} jobs | ${totalSalary.toLocaleString()} with salary | ${totalVerified.toLocaleString()} verified | ${teaserCount.toLocaleString()} for Pro members — ${now}`;
-  const emeaMsg = `${emeaCount.toLocaleString()} EMEA jobs | ${(groups.EMEA || []).filter(j => j.salaryMin || j.salaryMax || j.salary).length.toLocaleString()} with salary | ${(groups.EMEA || []).filter(j => j.verifiedAt).length.toLocaleString()} verified — ${now}`;
-  const apacMsg = `${apacCount.toLocaleString()} APAC jobs | ${(groups.APAC || []).filter(j => j.salaryMin || j.salaryMax || j.salary).length.toLocaleString()} with salary | ${(groups.APAC || []).filter(j => j.verifiedAt).length.toLocaleString()} verified — ${now}`;
+  console.log(`  TOTAL: ${jobs.length} jobs (${merged} duplicates merged)`);
+
+  // Diff each target against what it published last run, then build headline stats for commit messages
+  console.log('\n--- Diffing against previous run ---');
+  const now = fmtDateTime(runDate.toISOString());
+  const runs = targets.map(target => {
+    const previous = readPreviousJobs(join(target.path, 'data', 'jobs.json'));
+    const run = planRun(target, jobs, groups, previous, now, staleKept);
+    console.log(run.changes
+      ? `  ${target.name}: +${run.changes.added.length} new, -${run.changes.removed.length} closed, ${run.changes.changed.length} updated`
+      : `  ${target.name}: no previous data/jobs.json — first run`);
+    return run;
+  });
 
-  // Build cross-repo update history table
+  // Append this run to the structured history (backfilled from git log the first time)
   console.log('\n--- Building update history ---');
-  const historyTable = buildHistoryTable();
-  console.log(`  History: ${historyTable ? historyTable.split('\n').length - 4 : 0} entries`);
-
-  console.log('\n--- Main repo ---');
-  writeFile(join(REPOS.main, 'README.md'), mainReadme(groups, jobs, logos, historyTable));
-  writeFile(join(REPOS.main, 'data', 'jobs.json'), JSON.stringify(buildDataJson(jobs), null, 2));
-  writeFile(join(REPOS.main, 'data', 'commit-msg.txt'), mainMsg);
+  const historyPath = join(targets[0].path, 'data', 'history.ndjson');
+  const history = linkHistoryCommits(readHistory(historyPath) ?? seedHistoryFromGit(targets), targets);
+  const record = historyRecord(runDate, jobs, runs, groups);
+
+  // Nothing is written until this run passes the anomaly checks (or --force)
+  console.log('\n--- Guardrails ---');
+  const checks = checkGuardrails(record, guardrailBaseline(history, runs[0].previous), runs, guardrails);
+  logGuardrails(checks);
+  const failed = checks.filter(c => !c.ok);
+  if (failed.length > 0 && !FORCE) {
+    console.error(`\nRefusing to publish — ${failed.length} guardrail check(s) failed: ${failed.map(c => c.check).join(', ')}`);
+    console.error('Nothing was written. Fix the feed, adjust "guardrails" in publish.config.json, or rerun with --force.');
+    process.exit(1);
+  }
+  if (failed.length > 0) console.warn(`  --force: publishing despite ${failed.length} failed check(s)`);
+
+  history.push(record);
+  console.log(`  History: ${history.length} records`);
+
+  for (const run of runs) {
+    const { target } = run;
+    const files = renderRun(run, runs, groups, logos, history, runDate);
+
+    console.log(`\n--- ${target.name} repo ---`);
+    run.outputDirs = outputDirs(target, files);
+    for (const dir of run.outputDirs) resetDir(join(target.path, dir));
+    for (const file of files) writeFile(join(target.path, file.path), file.content);
+    if (run === runs[0]) {
+      writeFile(join(target.path, 'data', 'quality.json'), JSON.stringify(qualityReport, null, 2));
+      writeFile(historyPath, history.map(r => JSON.stringify(r)).join('\n') + '\n');
+    }
+    pruneChanges(join(target.path, 'data', 'changes'));
+  }
 
-  console.log('\n--- EMEA repo ---');
-  writeFile(join(REPOS.emea, 'README.md'), regionReadme('EMEA', 'Europe & Middle East', groups.EMEA || [], groups, logos, historyTable));
-  writeFile(join(REPOS.emea, 'data', 'jobs.json'), JSON.stringify(buildDataJson(groups.EMEA || []), null, 2));
-  writeFile(join(REPOS.emea, 'data', 'commit-msg.txt'), emeaMsg);
+  if (COMMIT && !DRY_RUN) {
+    console.log(`\n--- Publishing (${PUSH ? 'commit + push' : 'commit only'}) ---`);
+    publishRuns(runs, runDate, gitConfig, { push: PUSH });
+  }
 
-  console.log('\n--- APAC repo ---');
-  writeFile(join(REPOS.apac, 'README.md'), regionReadme('APAC', 'Asia-Pacific', groups.APAC || [], groups, logos, historyTable));
-  writeFile(join(REPOS.apac, 'data', 'jobs.json'), JSON.stringify(buildDataJson(groups.APAC || []), null, 2));
-  writeFile(join(REPOS.apac, 'data', 'commit-msg.txt'), apacMsg);
+  // Saved-search digests stay local (alerts/ is gitignored) — they name subscribers
+  const searches = loadSavedSearches(alerts.searches);
+  if (Object.keys(searches).length > 0) {
+    console.log(`\n--- Saved-search alerts (${alerts.searches}) ---`);
+    const { files, hooks, summary } = buildAlerts(searches, runs, runDate);
+    for (const [name, count] of Object.entries(summary)) {
+      console.log(`  ${name}: ${count === null ? 'first run — nothing to compare' : `${count} new matches`}`);
+    }
+    resetDir(alerts.outDir);
+    for (const file of files) writeFile(join(alerts.outDir, file.path), file.content);
+    await deliverWebhooks(hooks);
+  }
 
   console.log(`\nCommit messages:`);
-  console.log(`  Main: ${mainMsg}`);
-  console.log(`  EMEA: ${emeaMsg}`);
-  console.log(`  APAC: ${apacMsg}`);
+  for (const run of runs) console.log(`  ${run.target.name}: ${run.commitMsg}`);
   console.log('\nDone!');
 }
 
-main().catch(err => {
-  console.error('Fatal:', err);
-  process.exit(1);
-});
+// Run only when executed directly — tests import the helpers below without publishing anything
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch(err => {
+    console.error('Fatal:', err);
+    process.exit(1);
+  });
+}
 
+export {
+  loadConfig, matchesFilter, selectTargetJobs, listedJobs,
+  loadTemplates, renderTemplate, readmeContext,
+  slugify, jobUrl, fmtDate, fmtDateTime, fmtSalary, fmtK, salaryModel, parseLocation, parseTimezone, homeRegion, jobRegion, eligibleFrom, locationLabel, parseSkillScores, parseSkills, normalizeSkills, canonicalSkill, loadTaxonomy, topSkills, isGarbageJob, hasSalary, esc,
+  newStreamState, consumeStream, assertComplete, readFixture, fetchJobs, readFetchCache, writeFetchCache, mergeDelta, validateJob, validateJobs, dedupeJobs, groupByRegion, salarySort, sortJobs, fmtAge, fmtLocation,
+  normalizeName, companyCell, applyCell, teaserMask, jobTable, regionStats,
+  parseFreshness, applyFreshness, isVerified, verifiedBadge, staleContext,
+  extractJobCount, extractTimestamp, seedHistoryFromGit, historyRecord, buildHistoryTable, trendSection, median,
+  percentile, salaryPercentiles, marketStats, buildStats, scoreJob, rankJobs, tableOrder, topJobsContext,
+  checkGuardrails, guardrailBaseline, recordCounts, readRunManifests, linkHistoryCommits, commitTarget, publishRuns,
+  annualSalary, matchesSearch, loadSavedSearches, newMatches, buildAlerts, mimeMessage,
+  mainReadme, regionReadme, buildDataJson, buildFeeds, siteIndex, buildSite, exportRows, csvField, jobsCsv, jobsSqlite, buildExports, buildBrowsePages, companyGroups, buildCompanyPages, paginate, buildSections, diffJobs, changesContext, changesFileName, pruneChanges,
+  formatCommitMessage, planRun, renderRun, outputDirs,
+};
@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+/**
+ * search-jobs.mjs — Query the published data/jobs.json locally, no API needed.
+ *
+ * Usage:
+ *   node scripts/search-jobs.mjs --skill Go --min-salary 150000                # Every target cloned next to this repo
+ *   node scripts/search-jobs.mjs --target emea --seniority Senior --format csv
+ *   node scripts/search-jobs.mjs --remote --title "backend engineer" --verified-days 2
+ *   node scripts/search-jobs.mjs --country DE --skill TypeScript                # Jobs you can apply to from Germany
+ *   node scripts/search-jobs.mjs --data ~/Downloads/jobs.json --ats greenhouse --format json
+ *   node scripts/search-jobs.mjs --skill Rust --region EMEA --save rust-emea   # Save the filters…
+ *   node scripts/search-jobs.mjs --saved rust-emea                             # …and run them again later
+ *
+ * Sources (repeatable; default: every target in publish.config.json with a local data/jobs.json):
+ *   --target <id>      — A publish target's local clone
+ *   --remote           — Download targets' data/jobs.json from GitHub instead of reading clones
+ *   --data <file|url>  — Any data/jobs.json file or URL
+ *
+ * Filters (repeatable ones match any of the given values; all filters must match):
+ *   --region <code>  --skill <name>  --seniority <level>  --ats <name>
+ *   --country <ISO code — where you live; remote-anywhere jobs always match>
+ *   --min-salary <annual USD>  --verified-days <N>  --title <words — all must appear>
+ *
+ * Output: --format table|json|csv (default table), --limit <N> (default 50, 0 = all),
+ * --sort fresh|salary (default fresh).
+ *
+ * Saved searches live in saved-searches.json (or SAVED_SEARCHES, or publish.config.json alerts.searches)
+ * as { "<name>": { "filter": {...} } }, using the same filter keys as publish.config.json plus ats,
+ * verifiedWithinDays, title and countries. --save <name> stores the current filters, --saved <name> runs them
+ * (extra flags narrow further), --list-saved prints them. Add "email" and/or "webhook" to a search
+ * and the publisher writes an alert digest of its new matches every run.
+ */
+
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { parseArgs } from 'util';
+import { loadConfig, annualSalary, matchesSearch, loadSavedSearches, csvField } from './publish-github-jobs.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+
+const CONFIG_PATH = process.env.PUBLISH_CONFIG || join(ROOT, 'publish.config.json');
+
+const FORMATS = ['table', 'json', 'csv'];
+const SORTS = ['fresh', 'salary'];
+const DEFAULT_LIMIT = 50;
+
+const OPTIONS = {
+  target: { type: 'string', multiple: true },
+  remote: { type: 'boolean' },
+  data: { type: 'string', multiple: true },
+  region: { type: 'string', multiple: true },
+  skill: { type: 'string', multiple: true },
+  seniority: { type: 'string', multiple: true },
+  ats: { type: 'string', multiple: true },
+  country: { type: 'string', multiple: true },
+  'min-salary': { type: 'string' },
+  'verified-days': { type: 'string' },
+  title: { type: 'string' },
+  format: { type: 'string', default: 'table' },
+  limit: { type: 'string' },
+  sort: { type: 'string', default: 'fresh' },
+  save: { type: 'string' },
+  saved: { type: 'string' },
+  'list-saved': { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+// ============================================================================
+// FILTERS
+// ============================================================================
+
+/** Parse a non-negative number flag, or throw naming the flag */
+function parseNumber(value, flag) {
+  const n = Number(value);
+  if (value === '' || !Number.isFinite(n) || n < 0) throw new Error(`--${flag} expects a non-negative number, got "${value}"`);
+  return n;
+}
+
+/** CLI flag values → filter object (same keys as publish.config.json filters, empty keys omitted) */
+function parseFilter(values) {
+  const filter = {};
+  if (values.region) filter.regions = values.region.map(r => r.toUpperCase());
+  if (values.skill) filter.skills = values.skill;
+  if (values.seniority) filter.seniority = values.seniority;
+  if (values.ats) filter.ats = values.ats;
+  if (values.country) filter.countries = values.country.map(c => c.toUpperCase());
+  if (values['min-salary'] !== undefined) filter.minSalary = parseNumber(values['min-salary'], 'min-salary');
+  if (values['verified-days'] !== undefined) filter.verifiedWithinDays = parseNumber(values['verified-days'], 'verified-days');
+  if (values.title) filter.title = values.title;
+  return filter;
+}
+
+/** Filter and sort records — newest first, or highest annual salary first */
+function searchJobs(records, filter, { sort = 'fresh', now = Date.now() } = {}) {
+  const key = sort === 'salary'
+    ? r => annualSalary(r)
+    : r => new Date(r.scrapedAt).getTime() || 0;
+  return records.filter(r => matchesSearch(r, filter, now)).sort((a, b) => key(b) - key(a));
+}
+
+// ============================================================================
+// SAVED SEARCHES
+// ============================================================================
+
+/** Store `filter` under `name`, keeping any other settings already saved with it */
+function saveSearch(path, name, filter) {
+  const saved = loadSavedSearches(path);
+  saved[name] = { ...saved[name], filter };
+  writeFileSync(path, JSON.stringify(saved, null, 2) + '\n', 'utf-8');
+  return saved[name];
+}
+
+// ============================================================================
+// LOAD DATA
+// ============================================================================
+
+/** raw.githubusercontent.com URL of a target's data/jobs.json */
+function rawJobsUrl(target) {
+  return `${target.url.replace('https://github.com/', 'https://raw.githubusercontent.com/')}/main/data/jobs.json`;
+}
+
+/** Read one data/jobs.json from a path or http(s) URL */
+async function readJobsJson(source) {
+  if (/^https?:\/\//.test(source)) {
+    const res = await fetch(source);
+    if (!res.ok) throw new Error(`${source}: HTTP ${res.status}`);
+    return res.json();
+  }
+  return JSON.parse(readFileSync(source, 'utf-8'));
+}
+
+/** Resolve --target/--remote/--data into a list of files or URLs to read */
+function resolveSources(values, targets) {
+  const sources = [...(values.data || [])];
+  const picked = values.target
+    ? values.target.map(id => {
+      const target = targets.find(t => t.id === id);
+      if (!target) throw new Error(`Unknown target "${id}" (expected ${targets.map(t => t.id).join(', ')})`);
+      return target;
+    })
+    : values.data ? [] : targets;
+
+  for (const target of picked) {
+    if (values.remote) {
+      sources.push(rawJobsUrl(target));
+      continue;
+    }
+    const path = join(target.path, 'data', 'jobs.json');
+    if (existsSync(path)) sources.push(path);
+    else if (values.target) throw new Error(`${path} not found — clone the ${target.name} repo there or use --remote`);
+  }
+  if (sources.length === 0) throw new Error('No data/jobs.json found next to this repo — pass --remote or --data <file|url>');
+  return sources;
+}
+
+/** Load and merge every source — the same job published by several repos appears once */
+async function loadRecords(sources) {
+  const byId = new Map();
+  for (const source of sources) {
+    for (const record of await readJobsJson(source)) {
+      if (!byId.has(record.id)) byId.set(record.id, record);
+    }
+  }
+  return [...byId.values()];
+}
+
+// ============================================================================
+// OUTPUT
+// ============================================================================
+
+const COLUMNS = [
+  { header: 'Company', value: r => r.company || '(Pro only)', width: 24 },
+  { header: 'Role', value: r => r.title || '', width: 44 },
+  { header: 'Region', value: r => r.region || '', width: 6 },
+  { header: 'Seniority', value: r => r.seniority || '', width: 10 },
+  { header: 'Salary', value: r => r.salary || '', width: 26 },
+  { header: 'Verified', value: r => (r.verifiedAt || '').slice(0, 10), width: 10 },
+  { header: 'URL', value: r => r.url || 'https://wagey.gg/pricing', width: 0 },
+];
+
+const CSV_FIELDS = ['id', 'title', 'company', 'region', 'seniority', 'salary', 'salaryMin', 'salaryMax', 'skills', 'ats', 'verifiedAt', 'scrapedAt', 'url', 'visibility'];
+
+/** Fit a cell into `width` characters (0 = unlimited) */
+function fit(text, width) {
+  if (!width) return text;
+  return text.length > width ? text.slice(0, width - 1) + '…' : text.padEnd(width);
+}
+
+/** Fixed-width terminal table */
+function formatTable(records) {
+  if (records.length === 0) return 'No matching jobs.\n';
+  const line = cells => cells.join('  ').trimEnd();
+  return [
+    line(COLUMNS.map(c => fit(c.header, c.width))),
+    line(COLUMNS.map(c => fit('', c.width).replace(/ /g, '-') || '---')),
+    ...records.map(r => line(COLUMNS.map(c => fit(String(c.value(r)), c.width)))),
+  ].join('\n') + '\n';
+}
+
+/** Skills are joined with "; " — everything else is a plain CSV field */
+function formatCsv(records) {
+  const skillNames = skills => (skills || []).map(s => (typeof s === 'string' ? s : s.name)).join('; ');
+  const rows = records.map(r => CSV_FIELDS.map(f => csvField(f === 'skills' ? skillNames(r.skills) : r[f])).join(','));
+  return [CSV_FIELDS.join(','), ...rows].join('\n') + '\n';
+}
+
+function formatJson(records) {
+  return JSON.stringify(records, null, 2) + '\n';
+}
+
+const FORMATTERS = { table: formatTable, json: formatJson, csv: formatCsv };
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+function usage() {
+  const header = readFileSync(fileURLToPath(import.meta.url), 'utf-8').match(/\/\*\*([\s\S]*?)\*\//)[1];
+  return header.replace(/^ \* ?/gm, '').trim() + '\n';
+}
+
+async function main() {
+  const { values } = parseArgs({ options: OPTIONS, strict: true });
+  if (values.help) {
+    process.stdout.write(usage());
+    return;
+  }
+  if (!FORMATS.includes(values.format)) throw new Error(`--format must be one of ${FORMATS.join(', ')}`);
+  if (!SORTS.includes(values.sort)) throw new Error(`--sort must be one of ${SORTS.join(', ')}`);
+
+  const { targets, alerts } = loadConfig(CONFIG_PATH);
+  const savedPath = alerts.searches;
+
+  if (values['list-saved']) {
+    const saved = loadSavedSearches(savedPath);
+    const names = Object.keys(saved);
+    if (names.length === 0) console.log(`No saved searches in ${savedPath}`);
+    for (const name of names) console.log(`${name}: ${JSON.stringify(saved[name].filter)}`);
+    return;
+  }
+
+  let filter = parseFilter(values);
+  if (values.saved) {
+    const saved = loadSavedSearches(savedPath)[values.saved];
+    if (!saved) throw new Error(`No saved search "${values.saved}" in ${savedPath}`);
+    filter = { ...saved.filter, ...filter };
+  }
+  if (values.save) {
+    saveSearch(savedPath, values.save, filter);
+    console.error(`Saved "${values.save}" to ${savedPath}`);
+  }
+
+  const records = await loadRecords(resolveSources(values, targets));
+  const matches = searchJobs(records, filter, { sort: values.sort });
+  const limit = values.limit !== undefined ? parseNumber(values.limit, 'limit') : DEFAULT_LIMIT;
+  const shown = limit ? matches.slice(0, limit) : matches;
+
+  process.stdout.write(FORMATTERS[values.format](shown));
+  if (values.format === 'table') console.error(`\n${shown.length} of ${matches.length} matching jobs (${records.length} searched)`);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch(err => {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  });
+}
+
+export {
+  parseFilter, searchJobs, saveSearch, rawJobsUrl, resolveSources, loadRecords,
+  formatTable, formatCsv, formatJson,
+};
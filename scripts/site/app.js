@@ -0,0 +1,165 @@
+/**
+ * app.js — Client-side job table for the docs/ GitHub Pages site.
+ *
+ * Copied verbatim into docs/ by publish-github-jobs.mjs; reads window.JOB_INDEX from jobs-index.js.
+ * Plain script (no modules, no fetch) so the page also works opened from disk.
+ */
+
+(function () {
+  'use strict';
+
+  const PAGE_ROWS = 200; // Rows rendered per "Show more" — keeps the DOM small for 20k-job indexes
+  const SORTS = {
+    company: (a, b) => a.companyName.localeCompare(b.companyName),
+    title: (a, b) => a.title.localeCompare(b.title),
+    salary: (a, b) => a.annualUsd - b.annualUsd,
+    age: (a, b) => b.scrapedAt - a.scrapedAt, // ascending age = newest first
+  };
+
+  const index = window.JOB_INDEX;
+  const state = { region: 'ALL', query: '', minSalary: 0, remote: false, skills: new Set(), sort: 'age', desc: false, shown: PAGE_ROWS };
+  const $ = id => document.getElementById(id);
+
+  /** Expand the compact job arrays into objects */
+  function decode() {
+    const col = Object.fromEntries(index.fields.map((f, i) => [f, i]));
+    return index.jobs.map(row => {
+      const company = row[col.company] >= 0 ? index.companies[row[col.company]] : null;
+      const skills = row[col.skills].map(i => index.skills[i]);
+      return {
+        title: row[col.title],
+        company,
+        companyName: company ? company.name : '',
+        mask: row[col.mask],
+        region: row[col.region],
+        location: row[col.location],
+        remote: row[col.remote] === 1,
+        salary: row[col.salary],
+        annualUsd: row[col.annualUsd],
+        skills,
+        seniority: row[col.seniority],
+        scrapedAt: row[col.scrapedAt],
+        url: row[col.url],
+        stale: row[col.stale] === 1,
+        text: [row[col.title], company ? company.name : '', row[col.location], row[col.seniority], ...skills].join(' ').toLowerCase(),
+      };
+    });
+  }
+
+  function fmtAge(seconds) {
+    const hours = Math.floor((Date.now() / 1000 - seconds) / 3600);
+    if (hours < 1) return '<1h';
+    if (hours < 24) return `${hours}h`;
+    return `${Math.floor(hours / 24)}d`;
+  }
+
+  function fmtK(n) {
+    return n ? `$${Math.round(n / 1000)}k` : 'Any';
+  }
+
+  function el(tag, attrs, ...children) {
+    const node = document.createElement(tag);
+    for (const [key, value] of Object.entries(attrs || {})) {
+      if (key === 'text') node.textContent = value;
+      else node.setAttribute(key, value);
+    }
+    node.append(...children);
+    return node;
+  }
+
+  function matches(job) {
+    if (state.region !== 'ALL' && job.region !== state.region) return false;
+    if (state.remote && !job.remote) return false;
+    if (state.minSalary && job.annualUsd < state.minSalary) return false;
+    if (state.skills.size && !job.skills.some(s => state.skills.has(s))) return false;
+    return state.query.split(/\s+/).every(word => job.text.includes(word));
+  }
+
+  function companyCell(job) {
+    if (!job.company) return el('td', { class: 'mask', text: job.mask });
+    return el('td', {}, el('img', { src: job.company.logo, alt: '', height: '16', loading: 'lazy' }), ` ${job.company.name}`);
+  }
+
+  function roleCell(job) {
+    const where = [job.remote ? '\u{1F310}' : '\u{1F3E2}', job.location, job.region].filter(Boolean).join(' • ');
+    const chips = job.skills.slice(0, 3).map(s => el('span', { class: 'chip small', text: s }));
+    const stale = job.stale ? [' ', el('small', { class: 'stale', text: 'possibly closed' })] : [];
+    return el('td', {}, el('span', { text: job.title }), ...stale, el('br'), el('small', { text: where }), ' ', ...chips);
+  }
+
+  function applyCell(job) {
+    if (!job.url) return el('td', {}, '\u{1F512} ', el('a', { href: index.pricingUrl, text: 'Pro' }));
+    return el('td', {}, el('a', { href: job.url, text: 'Apply' }));
+  }
+
+  function render(jobs) {
+    const filtered = jobs.filter(matches).sort((a, b) => (state.desc ? -1 : 1) * SORTS[state.sort](a, b));
+    const rows = filtered.slice(0, state.shown).map(job => el('tr', {},
+      companyCell(job), roleCell(job), el('td', { text: job.salary }), el('td', { text: fmtAge(job.scrapedAt) }), applyCell(job)));
+    $('jobs').tBodies[0].replaceChildren(...rows);
+    $('count').textContent = `${filtered.length.toLocaleString()} of ${jobs.length.toLocaleString()} jobs`;
+    $('more').hidden = filtered.length <= state.shown;
+    for (const th of document.querySelectorAll('th[data-sort]')) {
+      th.setAttribute('aria-sort', th.dataset.sort === state.sort ? (state.desc ? 'descending' : 'ascending') : 'none');
+    }
+  }
+
+  function regionTabs(jobs, update) {
+    const tabs = [{ code: 'ALL', label: 'All regions', count: jobs.length }, ...index.regions];
+    if (index.regions.length < 2) return;
+    const fromHash = () => {
+      const code = location.hash.slice(1).toUpperCase();
+      state.region = tabs.some(t => t.code === code) ? code : 'ALL';
+      for (const b of $('regions').children) b.classList.toggle('active', b.dataset.code === state.region);
+    };
+    $('regions').append(...tabs.map(t => {
+      const button = el('button', { type: 'button', 'data-code': t.code, text: `${t.label} (${t.count.toLocaleString()})` });
+      button.addEventListener('click', () => { location.hash = t.code === 'ALL' ? '' : t.code.toLowerCase(); });
+      return button;
+    }));
+    window.addEventListener('hashchange', () => { fromHash(); update(); });
+    fromHash();
+  }
+
+  function init() {
+    const jobs = decode();
+    const update = () => render(jobs);
+    const reset = () => { state.shown = PAGE_ROWS; update(); };
+
+    const maxSalary = Math.max(0, ...jobs.map(j => j.annualUsd));
+    $('salary').max = String(Math.ceil(maxSalary / 10000) * 10000 || 400000);
+    $('salary').addEventListener('input', e => {
+      state.minSalary = Number(e.target.value);
+      $('salary-value').textContent = fmtK(state.minSalary);
+      reset();
+    });
+    $('search').addEventListener('input', e => { state.query = e.target.value.trim().toLowerCase(); reset(); });
+    $('remote').addEventListener('change', e => { state.remote = e.target.checked; reset(); });
+    $('more').addEventListener('click', () => { state.shown += PAGE_ROWS; update(); });
+
+    $('chips').append(...index.chips.map(skill => {
+      const chip = el('button', { type: 'button', class: 'chip', 'aria-pressed': 'false', text: skill });
+      chip.addEventListener('click', () => {
+        if (state.skills.has(skill)) state.skills.delete(skill);
+        else state.skills.add(skill);
+        chip.setAttribute('aria-pressed', String(state.skills.has(skill)));
+        reset();
+      });
+      return chip;
+    }));
+
+    for (const th of document.querySelectorAll('th[data-sort]')) {
+      th.addEventListener('click', () => {
+        state.desc = state.sort === th.dataset.sort ? !state.desc : th.dataset.sort === 'salary';
+        state.sort = th.dataset.sort;
+        update();
+      });
+    }
+
+    regionTabs(jobs, reset);
+    update();
+  }
+
+  if (index) init();
+  else document.getElementById('count').textContent = 'Job index failed to load.';
+})();
@@ -0,0 +1,1591 @@
+/**
+ * Tests for publish-github-jobs.mjs — run with `node --test scripts/test/*.test.mjs`.
+ *
+ * README outputs are compared against golden files in golden/. After an intentional
+ * template change, regenerate them with UPDATE_GOLDEN=1 and review the diff.
+ */
+
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { Readable } from 'stream';
+import { existsSync, readFileSync, readdirSync, writeFileSync, mkdtempSync, mkdirSync, rmSync } from 'fs';
+import { join, dirname } from 'path';
+import { tmpdir } from 'os';
+import { fileURLToPath } from 'url';
+import { execSync } from 'child_process';
+import { createRequire } from 'module';
+
+import {
+  fmtSalary, salaryModel, salarySort, parseLocation, jobRegion, eligibleFrom, locationLabel, matchesSearch, buildBrowsePages, companyGroups, buildCompanyPages, parseSkillScores, parseSkills, normalizeSkills, canonicalSkill, loadTaxonomy, matchesFilter, groupByRegion, isGarbageJob, teaserMask, buildHistoryTable, seedHistoryFromGit, historyRecord, trendSection, median,
+  loadTemplates, renderTemplate, jobTable, parseFreshness, applyFreshness, isVerified, verifiedBadge, staleContext,
+  checkGuardrails, guardrailBaseline, recordCounts, publishRuns, commitTarget, readRunManifests, linkHistoryCommits, percentile, salaryPercentiles, marketStats, scoreJob, rankJobs, topJobsContext, newMatches, buildAlerts, mimeMessage, siteIndex, buildSite, buildFeeds, exportRows, jobsCsv, jobsSqlite,
+  newStreamState, consumeStream, assertComplete, readFixture, fetchJobs, readFetchCache, writeFetchCache, mergeDelta, validateJob, validateJobs, dedupeJobs, buildDataJson, paginate, buildSections, diffJobs, changesContext, changesFileName, pruneChanges, loadConfig, listedJobs, planRun, renderRun, formatCommitMessage, outputDirs,
+} from '../publish-github-jobs.mjs';
+import { createStubApi, readNdjson } from './stub-api.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const FIXTURE = join(__dirname, 'fixtures', 'jobs.ndjson');
+const GOLDEN_DIR = join(__dirname, 'golden');
+const CONFIG = join(__dirname, '..', '..', 'publish.config.json');
+const NOW = Date.parse('2026-03-01T22:04:00.000Z');
+const TEMPLATE_DIR = join(__dirname, '..', 'templates');
+
+/** Byte stream of the given chunks */
+function streamOf(...chunks) {
+  return Readable.from(chunks.map(c => Buffer.from(c)));
+}
+
+/** Compare against golden/<name>, or rewrite it when UPDATE_GOLDEN is set */
+function assertGolden(name, actual) {
+  const path = join(GOLDEN_DIR, name);
+  if (process.env.UPDATE_GOLDEN) {
+    writeFileSync(path, actual, 'utf-8');
+    return;
+  }
+  assert.ok(existsSync(path), `Missing golden file ${name} — run with UPDATE_GOLDEN=1 to create it`);
+  assert.equal(actual, readFileSync(path, 'utf-8'), `${name} differs from golden — rerun with UPDATE_GOLDEN=1 if intended`);
+}
+
+describe('fmtSalary', () => {
+  test('formats a range as annualized USD', () => {
+    assert.equal(fmtSalary({ salaryMin: 140000, salaryMax: 180000 }), '$140k–$180k/year');
+  });
+
+  test('collapses equal min and max', () => {
+    assert.equal(fmtSalary({ salaryMin: 200000, salaryMax: 200000 }), '$200k/year');
+  });
+
+  test('handles open-ended ranges', () => {
+    assert.equal(fmtSalary({ salaryMin: 60000 }), '$60k+/year');
+    assert.equal(fmtSalary({ salaryMax: 90000 }), '$90k/year');
+  });
+
+  test('keeps sub-thousand values unabbreviated', () => {
+    assert.equal(fmtSalary({ salaryMin: 500 }), '$500+/year');
+  });
+
+  test('returns empty string without salary', () => {
+    assert.equal(fmtSalary({}), '');
+    assert.equal(fmtSalary({ salary: 'Competitive' }), '');
+  });
+
+  test('shows the original currency with a USD approximation', () => {
+    assert.equal(fmtSalary({ salaryMin: 75600, salaryMax: 86400, salary: '€70k–€80k/year' }), '€70k–€80k (~$76k–$86k)');
+    assert.equal(fmtSalary({ salary: '60.000 - 70.000 EUR per year' }), '€60k–€70k (~$65k–$76k)');
+  });
+
+  test('shows the original period for hourly and daily rates', () => {
+    assert.equal(fmtSalary({ salaryMin: 104000, salary: '$50/hour' }), '$50/hour (~$104k+/year)');
+    assert.equal(fmtSalary({ salary: '£500/day' }), '£500/day (~$165k/year)');
+  });
+});
+
+describe('salaryModel', () => {
+  test('carries currency, period, annualized USD and the rate used', () => {
+    const m = salaryModel({ salaryMin: 75600, salaryMax: 86400, salary: '€70k–€80k/year' });
+    assert.deepEqual(
+      { currency: m.currency, period: m.period, min: m.min, max: m.max, usd: [m.annualUsdMin, m.annualUsdMax], fxRate: m.fxRate, confidence: m.confidence },
+      { currency: 'EUR', period: 'year', min: 70000, max: 80000, usd: [75600, 86400], fxRate: 1.08, confidence: 'high' },
+    );
+    assert.match(m.fxDate, /^\d{4}-\d{2}-\d{2}$/);
+  });
+
+  test('flags hourly, capped and implausibly low values as low confidence', () => {
+    assert.deepEqual(salaryModel({ salaryMin: 104000, salary: '$50/hour' }).flags, ['hourly']);
+    assert.deepEqual(salaryModel({ salaryMax: 900000 }).flags, ['capped']);
+    assert.deepEqual(salaryModel({ salaryMin: 900 }).flags, ['tooLow']);
+    assert.equal(salaryModel({ salaryMax: 900000 }).confidence, 'low');
+  });
+
+  test('salarySort ignores low-confidence hourly and capped values', () => {
+    assert.equal(salarySort({ salaryMin: 104000, salary: '$50/hour' }), 0);
+    assert.equal(salarySort({ salaryMax: 900000 }), 0);
+    assert.equal(salarySort({ salaryMin: 140000, salaryMax: 180000 }), 180000);
+  });
+});
+
+describe('parseSkills', () => {
+  test('strips confidence weights', () => {
+    assert.deepEqual(parseSkills('Python(0.95), AWS(0.80)'), ['Python', 'AWS']);
+  });
+
+  test('keeps unweighted skills and drops blanks', () => {
+    assert.deepEqual(parseSkills('Go, , C++(0.5)'), ['Go', 'C++']);
+  });
+
+  test('handles missing input', () => {
+    assert.deepEqual(parseSkills(''), []);
+    assert.deepEqual(parseSkills(null), []);
+  });
+
+  test('parseSkillScores keeps the confidence weights', () => {
+    assert.deepEqual(parseSkillScores('Python(0.95), Go, C++(n/a)'), [
+      { name: 'Python', confidence: 0.95 },
+      { name: 'Go', confidence: null },
+      { name: 'C++', confidence: null },
+    ]);
+  });
+});
+
+describe('skill taxonomy', () => {
+  test('aliases collapse to one canonical skill with the highest confidence', () => {
+    assert.deepEqual(normalizeSkills('JS(0.7), Javascript(0.9), javascript, node.js(0.8)'), [
+      { name: 'JavaScript', category: 'language', confidence: 0.9 },
+      { name: 'Node.js', category: 'framework', confidence: 0.8 },
+    ]);
+    assert.deepEqual(canonicalSkill('K8s'), { name: 'Kubernetes', category: 'devops' });
+    assert.deepEqual(canonicalSkill(' Zig '), { name: 'Zig', category: 'other' });
+  });
+
+  test('drops scores under the category threshold but keeps unscored skills', () => {
+    assert.deepEqual(normalizeSkills('Go(0.49), Agile(0.55), Rust, Zig(0.5)').map(s => s.name), ['Rust', 'Zig']);
+  });
+
+  test('filters and tables see canonical names', () => {
+    assert.deepEqual(parseSkills('golang(0.9), Postgres(0.8)'), ['Go', 'PostgreSQL']);
+    assert.ok(matchesFilter({ skills: 'Golang(0.9)' }, { skills: ['go'] }));
+    assert.ok(matchesFilter({ skills: 'K8s(0.9)' }, { skills: ['kubernetes'] }));
+    assert.ok(!matchesFilter({ skills: 'Go(0.2)' }, { skills: ['Go'] }));
+    assert.deepEqual(buildDataJson([{ id: '1', title: 'Dev', company: 'Acme', skills: 'TS(0.9)' }])[0].skills, [
+      { name: 'TypeScript', category: 'language', confidence: 0.9 },
+    ]);
+  });
+
+  test('rejects aliases claimed by two skills and unknown categories', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'publish-taxonomy-'));
+    const write = skills => {
+      const path = join(dir, 'skill-taxonomy.json');
+      writeFileSync(path, JSON.stringify({ categories: ['language'], skills }));
+      return path;
+    };
+    try {
+      assert.throws(() => loadTaxonomy(write({ Go: { category: 'language', aliases: ['G'] }, Groovy: { category: 'language', aliases: ['g'] } })),
+        /"g" maps to both "Go" and "Groovy"/);
+      assert.throws(() => loadTaxonomy(write({ Go: { category: 'lang' } })), /unknown category "lang"/);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('isGarbageJob', () => {
+  test('flags careers-page titles', () => {
+    for (const title of ['Careers', 'job openings', ' Open Positions ', 'Join our team', 'Work with us']) {
+      assert.equal(isGarbageJob({ title }), true, title);
+    }
+  });
+
+  test('keeps real titles that merely contain those words', () => {
+    assert.equal(isGarbageJob({ title: 'Careers Site Engineer' }), false);
+    assert.equal(isGarbageJob({ title: 'Senior Backend Engineer' }), false);
+  });
+});
+
+describe('groupByRegion', () => {
+  test('buckets by region, defaulting to WW', () => {
+    const groups = groupByRegion([
+      { id: 'a', title: 'A', region: 'NA' },
+      { id: 'b', title: 'B', isRemote: true },
+      { id: 'c', title: 'C', region: 'EMEA' },
+    ]);
+    assert.deepEqual(groups.NA.map(j => j.id), ['a']);
+    assert.deepEqual(groups.WW.map(j => j.id), ['b']);
+    assert.deepEqual(groups.EMEA.map(j => j.id), ['c']);
+  });
+
+  test('drops garbage titles, non-remote WW jobs and unknown regions', () => {
+    const groups = groupByRegion([
+      { id: 'garbage', title: 'Careers', region: 'NA' },
+      { id: 'onsite', title: 'Field Engineer', region: 'WW', isRemote: false },
+      { id: 'mars', title: 'Rover Driver', region: 'MARS' },
+    ]);
+    assert.equal(Object.values(groups).flat().length, 0);
+  });
+
+  test('moves WW jobs limited to one region\'s countries into that region', () => {
+    const groups = groupByRegion([
+      { id: 'usa', title: 'A', region: 'WW', isRemote: true, location: 'Remote - USA' },
+      { id: 'office', title: 'B', region: 'WW', isRemote: false, location: 'London, UK (Hybrid)' },
+      { id: 'split', title: 'C', region: 'WW', isRemote: true, location: 'Remote - US or UK' },
+    ]);
+    assert.deepEqual(groups.NA.map(j => j.id), ['usa']);
+    assert.deepEqual(groups.EMEA.map(j => j.id), ['office']);
+    assert.deepEqual(groups.WW.map(j => j.id), ['split']);
+  });
+});
+
+describe('parseLocation', () => {
+  const loc = (location, over = {}) => parseLocation({ location, isRemote: true, region: 'EMEA', ...over });
+
+  test('expands country groups and aliases into ISO codes', () => {
+    const eu = loc('Remote - in EU');
+    assert.equal(eu.countries.length, 27);
+    assert.ok(eu.countries.includes('DE') && !eu.countries.includes('GB'));
+    assert.equal(eu.label, 'EU');
+    assert.deepEqual(loc('Remote - Czech').countries, ['CZ']);
+    assert.deepEqual(loc('Remote - New Mexico', { region: 'NA' }).countries, ['US']);
+    assert.deepEqual(loc('Remote - US or Canada', { region: 'NA' }), {
+      workMode: 'remote', anywhere: false, countries: ['CA', 'US'], timezone: null, label: 'United States, Canada',
+    });
+    assert.deepEqual(loc('Remote - focus on us', { region: 'NA' }).countries, []);
+  });
+
+  test('reads timezone windows from offsets, zone names and tolerances', () => {
+    assert.deepEqual(loc('Remote (UTC-5 to UTC+1)').timezone, { min: -5, max: 1, label: 'UTC-5 to UTC+1' });
+    assert.deepEqual(loc('Remote - EST +/- 3 hours', { region: 'NA' }).timezone, { min: -8, max: -2, label: 'UTC-8 to UTC-2' });
+    assert.equal(loc('India (GMT+5:30)').timezone.label, 'UTC+5:30');
+    const usHours = loc('Remote, US time zones', { region: 'NA' });
+    assert.deepEqual(usHours.countries, []);
+    assert.equal(usHours.label, 'UTC-8 to UTC-5');
+  });
+
+  test('separates anywhere from restricted and remote from hybrid and onsite', () => {
+    assert.equal(loc('Remote - Global (Remote)', { region: 'WW' }).anywhere, true);
+    assert.equal(loc('Unknown', { region: 'WW' }).anywhere, true);
+    assert.equal(loc('Unknown').anywhere, false);
+    assert.equal(loc('Remote - Anywhere (UTC-3 to UTC+3)', { region: 'WW' }).anywhere, false);
+    assert.equal(loc('Seattle, Washington, United States - Hybrid', { isRemote: false }).workMode, 'hybrid');
+    assert.equal(loc('Berlin (on-site)').workMode, 'onsite');
+    assert.equal(loc('Kütahya', { isRemote: false }).workMode, 'onsite');
+  });
+
+  test('labels, regions and eligibility', () => {
+    const seattle = { location: 'Seattle, Washington, United States - Hybrid', region: 'WW' };
+    assert.equal(locationLabel(seattle), 'Seattle, Washington, United States - Hybrid');
+    assert.equal(jobRegion(seattle), 'NA');
+    assert.equal(locationLabel({ location: 'Remote - in EU', isRemote: true, region: 'EMEA' }), 'EU');
+    assert.equal(eligibleFrom({ location: 'Remote - in EU', isRemote: true, region: 'EMEA' }, 'de'), true);
+    assert.equal(eligibleFrom({ location: 'Remote - in EU', isRemote: true, region: 'EMEA' }, 'GB'), false);
+    assert.equal(eligibleFrom({ location: 'Remote - Anywhere', isRemote: true, region: 'WW' }, 'GB'), true);
+  });
+
+  test('country filters and country browse pages', () => {
+    const listed = [
+      { id: '1', title: 'A', region: 'EMEA', isRemote: true, location: 'Remote - in EU', skills: '' },
+      { id: '2', title: 'B', region: 'WW', isRemote: true, location: 'Remote - Anywhere', skills: '' },
+      { id: '3', title: 'C', region: 'NA', isRemote: true, location: 'Remote - USA', skills: '' },
+    ];
+    const records = buildDataJson(listed);
+    assert.deepEqual(records[0].locationDetails.countries.slice(0, 3), ['AT', 'BE', 'BG']);
+    assert.deepEqual(records.filter(r => matchesSearch(r, { countries: ['fr'] })).map(r => r.id), ['1', '2']);
+
+    const target = { label: 'Test', pages: {}, pageSize: 50, sort: 'fresh' };
+    const files = buildBrowsePages({ target, listed }, {});
+    const index = files.find(f => f.path === join('countries', 'README.md')).content;
+    assert.match(index, /\| \[Anywhere\]\(anywhere\/README\.md\) \| 1 \|/);
+    assert.match(index, /\| \[United States\]\(united-states\/README\.md\) \| 1 \|/);
+    const germany = files.find(f => f.path === join('countries', 'germany', 'README.md')).content;
+    assert.match(germany, /^# Germany Jobs \(1\)/);
+    assert.match(germany, /1 more remote jobs accept candidates from \[anywhere\]/);
+    assert.ok(!buildBrowsePages({ target: { ...target, pages: { countries: false } }, listed }, {}).some(f => f.path.startsWith('countries')));
+  });
+});
+
+describe('README templates', () => {
+  const render = (source, context, partials = {}) => {
+    const dir = mkdtempSync(join(tmpdir(), 'publish-templates-'));
+    try {
+      for (const [name, text] of Object.entries({ t: source, ...partials })) writeFileSync(join(dir, `${name}.md`), text);
+      return renderTemplate(loadTemplates(dir), 't', context);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  };
+
+  test('values, dotted keys, sections, inverted sections and partials', () => {
+    const context = { n: 12345, a: { b: 'deep' }, items: ['x', 'y'], none: [], flag: false, name: 'outer' };
+    assert.equal(render('{{n}} {{a.b}} {{missing}}', context), '12,345 deep ');
+    assert.equal(render('{{#items}}[{{.}}]{{/items}}{{^none}}empty{{/none}}{{#flag}}no{{/flag}}', context), '[x][y]empty');
+    assert.equal(render('{{#a}}{{b}} {{name}}{{/a}}', context), 'deep outer');
+    assert.equal(render('{{#items.length}}{{items.length}} items{{/items.length}}', context), '2 items');
+    assert.equal(render('{{#items}}{{> p}}{{/items}}', context, { p: '<{{.}}>' }), '<x><y>');
+  });
+
+  test('drops lines holding only a section, partial or comment tag', () => {
+    const source = '{{! header comment }}\nstart\n{{#items}}\n- {{.}}\n{{/items}}\n  {{> p}}\nend\n';
+    assert.equal(render(source, { items: ['x', 'y'] }, { p: 'partial\n' }), 'start\n- x\n- y\npartial\nend\n');
+  });
+
+  test('rejects unbalanced sections and unknown partials', () => {
+    assert.throws(() => render('{{#a}}x', {}), /Template "t": unclosed \{\{#a\}\}/);
+    assert.throws(() => render('{{#a}}x{{/b}}', {}), /Template "t": unexpected \{\{\/b\}\}/);
+    assert.throws(() => render('{{> nope}}', {}), /Unknown template "nope"/);
+  });
+
+  test('job-table renders one job-row per job, or the empty notice', () => {
+    const jobs = [
+      { id: '1', title: 'Backend Engineer', company: 'Acme', location: 'Remote - Germany', region: 'EMEA', salary: '$100k', scrapedAt: new Date(NOW).toISOString() },
+      { id: '2', title: 'Designer', visibility: 'teaser', location: 'Anywhere', region: 'WW' },
+    ];
+    const lines = jobTable(jobs, {}).trimEnd().split('\n');
+    assert.equal(lines[0], '| Company | Role | Salary | Age | |');
+    assert.equal(lines.length, 4);
+    assert.match(lines[2], /^\| <img [^|]+> Acme \| Backend Engineer <br><sub>🌐 Germany • EMEA<\/sub> \| .* \| \[Apply\]\(https:\/\/wagey\.gg\/jobs\/1-backend-engineer-at-acme\?ref=github\) \|$/);
+    assert.match(lines[3], /^\| ░+ \| Designer <br><sub>🌐 Anywhere • WW<\/sub> \| .* \| 🔒 \[Pro\]\(https:\/\/wagey\.gg\/pricing\?ref=github\) \|$/);
+    assert.equal(jobTable([], {}), '*No jobs currently listed.*\n');
+  });
+
+  test('stats-table lists regions for hub READMEs and only totals otherwise', () => {
+    const templates = loadTemplates(TEMPLATE_DIR);
+    const totals = { label: 'EMEA', jobs: 1200, withSalary: 300, verified: 1100 };
+    assert.equal(renderTemplate(templates, 'stats-table', { updated: 'now', totals, regions: null }),
+      '| | Jobs | With Salary | Verified |\n|--|------|-------------|----------|\n| **EMEA as of now** | **1,200** | **300** | **1,100** |\n');
+    const hub = renderTemplate(templates, 'stats-table', {
+      updated: 'now', totals: { ...totals, label: 'Total' },
+      regions: [{ link: '[EMEA](#emea)', jobs: 1200, withSalary: 300, verified: 1100 }],
+    });
+    assert.match(hub, /^\| Region \| Jobs \|.*\n\|-+\|.*\n\| \[EMEA\]\(#emea\) \| 1,200 \| 300 \| 1,100 \|\n\| \*\*Total as of now\*\*/);
+  });
+
+  test('history renders nothing before the first run', () => {
+    const targets = [{ id: 'main', name: 'Main', url: 'https://github.com/o/main' }];
+    assert.equal(buildHistoryTable(targets, []), '');
+    assert.equal(buildHistoryTable(targets, [{ ts: '2026-03-01T22:04:00.000Z', targets: { main: { total: 1500 } } }]), `## Update History
+
+Last 1 updates. Full history in [\`data/history.ndjson\`](https://github.com/o/main/blob/main/data/history.ndjson) and each repo's [commit log](https://github.com/o/main/commits/main/).
+
+| Time (UTC) | Main |
+|---|---|
+| 1-Mar-2026 22:04 UTC | 1,500 |
+`);
+  });
+
+  test('an override directory replaces built-in files by name and adds partials', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'publish-templates-'));
+    try {
+      writeFileSync(join(dir, 'footer.md'), '*Jobs by [wagey.gg](https://wagey.gg?ref=newsletter)* {{> signoff}}\n');
+      writeFileSync(join(dir, 'signoff.md'), 'Bye!');
+      writeFileSync(join(dir, 'job-row.md'), '| {{title}} | {{region}} |\n');
+      const templates = loadTemplates(TEMPLATE_DIR, dir);
+      assert.equal(renderTemplate(templates, 'footer', { ref: 'github' }), '*Jobs by [wagey.gg](https://wagey.gg?ref=newsletter)* Bye!\n');
+      assert.match(jobTable([{ id: '1', title: 'SRE', region: 'NA' }], {}, 500, undefined, templates), /\n\| SRE \| NA \|\n$/);
+      assert.ok(templates.header, 'built-in partials stay available');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('teaserMask', () => {
+  test('is deterministic per title', () => {
+    assert.equal(teaserMask({ title: 'Product Designer' }), teaserMask({ title: 'Product Designer' }));
+  });
+
+  test('is 4 to 12 shade blocks long', () => {
+    for (const title of ['a', 'Product Designer', 'Senior Staff Principal Engineer, Platform', '']) {
+      const mask = teaserMask({ title, id: 'x' });
+      assert.match(mask, /^░{4,12}$/);
+    }
+  });
+});
+
+describe('consumeStream', () => {
+  test('handles records split across chunks and counts malformed lines', async () => {
+    const state = newStreamState();
+    await consumeStream(streamOf(
+      '{"type":"meta","companyLogos":{}}\n{"type":"job","d":{"id":"1"',
+      ',"title":"A"}}\nnot json\n\n{"type":"job","d":{"id":"2","title":"B"}}\n',
+    ), state);
+    assert.deepEqual([...state.jobs.keys()], ['1', '2']);
+    assert.deepEqual(state.meta, { type: 'meta', companyLogos: {} });
+    assert.equal(state.badLines, 1);
+  });
+
+  test('treats an unterminated final line as truncation, not a malformed record', async () => {
+    const state = newStreamState();
+    const full = '{"type":"job","d":{"id":"1"}}\n{"type":"job","d":{"id":"2"}}\n{"type":"meta","mode":"full","total":2}\n';
+    await assert.rejects(consumeStream(streamOf(full.slice(0, 40)), state), { name: 'TruncatedStreamError' });
+    assert.deepEqual([...state.jobs.keys()], ['1']);
+    assert.equal(state.badLines, 0);
+  });
+
+  test('keeps the last record of a repeated id and counts it as a duplicate', async () => {
+    const state = newStreamState();
+    await consumeStream(streamOf('{"type":"job","d":{"id":"1","title":"A"}}\n{"type":"job","d":{"id":"1","title":"B"}}\n'), state);
+    assert.equal(state.jobs.get('1').title, 'B');
+    assert.deepEqual(state.duplicateIds, ['1']);
+  });
+
+  test('a full snapshot must hold the total its meta record announces, when it announces one', async () => {
+    const lines = ['{"type":"meta","mode":"full","total":2}', '{"type":"job","d":{"id":"1"}}', '{"type":"job","d":{"id":"2"}}'];
+    const short = newStreamState();
+    await consumeStream(streamOf(lines.slice(0, 2).join('\n') + '\n'), short);
+    assert.throws(() => assertComplete(short), { name: 'TruncatedStreamError', message: /1 of 2 jobs/ });
+
+    const whole = newStreamState();
+    await consumeStream(streamOf(lines.join('\n') + '\n'), whole);
+    assertComplete(whole);
+
+    const untotalled = newStreamState();
+    await consumeStream(streamOf(['{"type":"meta"}', lines[1]].join('\n') + '\n'), untotalled);
+    assertComplete(untotalled);
+
+    const delta = newStreamState();
+    await consumeStream(streamOf('{"type":"removed","id":"9"}\n{"type":"meta","mode":"delta","total":40}\n'), delta);
+    assertComplete(delta);
+  });
+});
+
+describe('incremental fetch', () => {
+  let dir, api, base;
+  const fetchOpts = () => ({ base, cachePath: join(dir, 'cache.ndjson'), full: false, saveCache: true });
+  const ids = result => result.jobs.map(j => j.id).sort();
+
+  before(async () => {
+    dir = mkdtempSync(join(tmpdir(), 'publish-fetch-'));
+    const { jobs, meta } = readNdjson(FIXTURE);
+    api = createStubApi({ jobs, meta });
+    base = await api.listen();
+  });
+  after(async () => {
+    await api.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('caches a full snapshot, then sends only If-None-Match and the changes since its cursor', async () => {
+    const first = await fetchJobs(fetchOpts());
+    assert.equal(first.mode, 'full');
+    assert.equal(first.jobs.length, api.jobs.length);
+    assert.deepEqual(first.meta.companyLogos, { acme: 'logo-acme', globex: 'logo-globex' });
+
+    const unchanged = await fetchJobs(fetchOpts());
+    assert.equal(unchanged.mode, 'cached');
+    assert.deepEqual(ids(unchanged), ids(first));
+
+    const [kept, dropped] = api.jobs;
+    api.upsert({ ...kept, title: 'Renamed Role' });
+    api.upsert({ ...kept, id: 'new-1' });
+    api.remove(dropped.id);
+    const delta = await fetchJobs(fetchOpts());
+    assert.equal(delta.mode, 'delta');
+    assert.deepEqual(ids(delta), ids({ jobs: api.jobs }));
+    assert.equal(delta.jobs.find(j => j.id === kept.id).title, 'Renamed Role');
+    assert.deepEqual(delta.meta.companyLogos, first.meta.companyLogos);
+    assert.deepEqual(api.requests, ['full', 'not-modified', 'delta']);
+
+    const cache = await readFetchCache(join(dir, 'cache.ndjson'));
+    assert.equal(cache.meta.cursor, delta.meta.cursor);
+    assert.equal(cache.jobs.size, api.jobs.length);
+  });
+
+  test('fetches the recorded API response as is — meta first, no total, one malformed line', async () => {
+    const body = readFileSync(FIXTURE);
+    let requests = 0;
+    const server = http.createServer((req, res) => {
+      requests++;
+      res.writeHead(200, { 'content-type': 'application/x-ndjson' }).end(body);
+    });
+    const rawBase = await new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+    try {
+      const result = await fetchJobs({ base: rawBase, full: true, saveCache: false });
+      const recorded = await readFixture(FIXTURE);
+      assert.equal(requests, 1);
+      assert.equal(result.badLines, 1);
+      assert.deepEqual(ids(result), ids(recorded));
+      assert.deepEqual(result.meta, recorded.meta);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('retries a response cut between lines instead of publishing a partial snapshot', async () => {
+    api.cutNext(3);
+    const result = await fetchJobs({ ...fetchOpts(), full: true, saveCache: false });
+    assert.equal(result.mode, 'full');
+    assert.deepEqual(ids(result), ids({ jobs: api.jobs }));
+    assert.deepEqual(api.requests.slice(-2), ['full', 'full']);
+  });
+
+  test('a retry takes every job from the new response, not from the cut one', async () => {
+    const [changed, dropped] = api.jobs;
+    let requests = 0;
+    const churnBeforeRetry = () => {
+      if (++requests !== 2) return;
+      api.upsert({ ...changed, title: 'Retitled Between Attempts' });
+      api.remove(dropped.id);
+    };
+    api.server.prependListener('request', churnBeforeRetry);
+    try {
+      api.cutNext(3);
+      const result = await fetchJobs({ ...fetchOpts(), full: true, saveCache: false });
+      assert.deepEqual(ids(result), ids({ jobs: api.jobs }));
+      assert.equal(result.jobs.find(j => j.id === changed.id).title, 'Retitled Between Attempts');
+      assert.equal(result.jobs.some(j => j.id === dropped.id), false);
+    } finally {
+      api.server.off('request', churnBeforeRetry);
+    }
+  });
+
+  test('falls back to a full fetch when the cursor expired or the merge does not add up', async () => {
+    api.requests.length = 0;
+    api.upsert({ ...api.jobs[0], verifiedAt: '2026-03-02T00:00:00.000Z' });
+    api.resetLog();
+    assert.equal((await fetchJobs(fetchOpts())).mode, 'full');
+    assert.deepEqual(api.requests, ['gone', 'full']);
+
+    // A cache missing a job: the delta applies cleanly but the total no longer matches
+    const cache = await readFetchCache(join(dir, 'cache.ndjson'));
+    writeFetchCache(join(dir, 'cache.ndjson'), [...cache.jobs.values()].slice(0, -1), { ...cache.meta, etag: null });
+    api.upsert({ ...api.jobs[0], verifiedAt: '2026-03-03T00:00:00.000Z' });
+    api.requests.length = 0;
+    const result = await fetchJobs(fetchOpts());
+    assert.equal(result.mode, 'full');
+    assert.equal(result.jobs.length, api.jobs.length);
+    assert.deepEqual(api.requests, ['delta', 'full']);
+
+    api.requests.length = 0;
+    await fetchJobs({ ...fetchOpts(), full: true });
+    assert.deepEqual(api.requests, ['full']);
+  });
+
+  test('a delta cut mid-record is fetched again before the cursor moves', async () => {
+    const cachePath = join(dir, 'cache.ndjson');
+    await fetchJobs({ ...fetchOpts(), full: true });
+    const before = await readFetchCache(cachePath);
+    api.upsert({ ...api.jobs[0], title: 'Retitled' });
+    api.upsert({ ...api.jobs[1], title: 'Retitled too' });
+    api.requests.length = 0;
+    api.cutNext(2, 10);
+    const result = await fetchJobs(fetchOpts());
+    assert.equal(result.mode, 'delta');
+    assert.deepEqual(api.requests, ['delta', 'delta']);
+    assert.deepEqual(result.jobs.filter(j => j.title.startsWith('Retitled')).length, 2);
+
+    const after = await readFetchCache(cachePath);
+    assert.notEqual(after.meta.cursor, before.meta.cursor);
+    assert.equal(after.meta.cursor, result.meta.cursor);
+    assert.equal(after.jobs.get(api.jobs[1].id).title, 'Retitled too');
+  });
+
+  test('mergeDelta refuses changes that start from another cursor', () => {
+    const cache = { jobs: new Map([['1', { id: '1' }]]), meta: { cursor: 'v5' } };
+    assert.throws(() => mergeDelta(cache, { meta: { since: 'v4' }, jobs: [], removed: [] }), { name: 'CursorMismatchError' });
+    assert.throws(() => mergeDelta(cache, { meta: { since: 'v5', cursor: 'v6', total: 2 }, jobs: [], removed: [] }), /API reports 2/);
+    assert.equal(mergeDelta(cache, { meta: { since: 'v5', cursor: 'v6' }, jobs: [{ id: '2' }], removed: [] }).jobs.length, 2);
+    const merged = mergeDelta(cache, { meta: { since: 'v5', cursor: 'v6', total: 1 }, jobs: [{ id: '2' }], removed: ['1'] });
+    assert.deepEqual(merged, { jobs: [{ id: '2' }], meta: { cursor: 'v6', since: 'v5', total: 1 } });
+  });
+});
+
+describe('validateJob', () => {
+  const valid = {
+    id: 'x', title: 'Engineer', company: 'Acme', region: 'NA', salaryMin: 100000, salaryMax: 150000,
+    scrapedAt: '2026-03-01T20:00:00.000Z', verifiedAt: '2026-03-01T21:00:00.000Z', visibility: 'full',
+  };
+  const codes = job => validateJob(job).map(i => `${i.severity}:${i.code}`);
+
+  test('accepts a well-formed job', () => {
+    assert.deepEqual(codes(valid), []);
+  });
+
+  test('rejects structural problems', () => {
+    assert.deepEqual(codes({ ...valid, id: '', title: ' ', company: null }),
+      ['error:id.missing', 'error:title.missing', 'error:company.missing']);
+    assert.deepEqual(codes({ ...valid, region: 'MARS' }), ['error:region.invalid']);
+    assert.deepEqual(codes({ ...valid, salaryMin: 200000 }), ['error:salary.inverted']);
+    assert.deepEqual(codes({ ...valid, scrapedAt: 'yesterday', verifiedAt: 'soon' }),
+      ['error:scrapedAt.invalid', 'error:verifiedAt.invalid']);
+    assert.deepEqual(codes({ ...valid, visibility: 'secret' }), ['error:visibility.invalid']);
+  });
+
+  test('warns about suspicious but publishable data', () => {
+    assert.deepEqual(codes({ ...valid, salary: '$60/hour' }), ['warning:salary.hourly']);
+    assert.deepEqual(codes({ ...valid, salaryMax: 900000 }), ['warning:salary.outlier']);
+    assert.deepEqual(codes({ ...valid, region: undefined, scrapedAt: undefined }),
+      ['warning:region.missing', 'warning:scrapedAt.missing']);
+  });
+});
+
+describe('validateJobs', () => {
+  test('drops rejected jobs and reports duplicates', () => {
+    const base = { company: 'Acme', region: 'NA', scrapedAt: '2026-03-01T20:00:00.000Z' };
+    const { accepted, report } = validateJobs([
+      { ...base, id: '1', title: 'Engineer' },
+      { ...base, id: '2', title: 'engineer ', company: 'ACME' },
+      { ...base, id: '3', title: '' },
+    ], ['1']);
+
+    assert.deepEqual(accepted.map(j => j.id), ['1', '2']);
+    assert.equal(report.rejected, 1);
+    assert.equal(report.rejectRate, 0.3333);
+    assert.deepEqual(report.errors, { 'title.missing': 1 });
+    assert.deepEqual(report.warnings, { 'duplicate.id': 1, 'duplicate.titleCompany': 1 });
+    assert.deepEqual(report.samples['duplicate.titleCompany'], ['2']);
+  });
+});
+
+describe('dedupeJobs', () => {
+  const posting = (id, extra) => ({
+    id, title: 'Senior Backend Engineer', company: 'Acme', location: 'Remote', region: 'WW',
+    scrapedAt: '2026-03-01T10:00:00.000Z', ...extra,
+  });
+
+  test('merges the same role across ATS platforms, keeping the best-verified posting', () => {
+    const { jobs, merged } = dedupeJobs([
+      posting('gh', { ats: 'greenhouse' }),
+      posting('lv', { ats: 'lever', company: 'ACME, ', title: 'Senior Backend Engineer (m/f/d)', verifiedAt: '2026-03-01T12:00:00.000Z' }),
+      posting('other', { title: 'Frontend Engineer' }),
+    ]);
+    assert.equal(merged, 1);
+    assert.deepEqual(jobs.map(j => j.id), ['lv', 'other']);
+    assert.deepEqual(jobs[0].duplicates.map(j => j.id), ['gh']);
+  });
+
+  test('keeps roles in different locations apart', () => {
+    const { jobs } = dedupeJobs([posting('a'), posting('b', { location: 'Remote - EU' })]);
+    assert.equal(jobs.length, 2);
+  });
+
+  test('publishes duplicates as alternate apply links, never for teasers', () => {
+    const { jobs } = dedupeJobs([posting('gh', { ats: 'greenhouse', verifiedAt: '2026-03-01T12:00:00.000Z' }), posting('lv', { ats: 'lever' })]);
+    const [record] = buildDataJson(jobs);
+    assert.deepEqual(record.alternates, [
+      { id: 'lv', ats: 'lever', url: 'https://wagey.gg/jobs/lv-senior-backend-engineer-at-acme?ref=github' },
+    ]);
+    const [teaser] = buildDataJson([{ ...jobs[0], visibility: 'teaser' }]);
+    assert.deepEqual(teaser.alternates, []);
+  });
+});
+
+describe('seedHistoryFromGit', () => {
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'publish-history-'));
+    const commit = (repo, message, date) => {
+      execSync(`git commit -q --allow-empty -m "${message}"`, {
+        cwd: join(dir, repo),
+        env: {
+          ...process.env, GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date,
+          GIT_AUTHOR_NAME: 't', GIT_AUTHOR_EMAIL: 't@t', GIT_COMMITTER_NAME: 't', GIT_COMMITTER_EMAIL: 't@t',
+        },
+      });
+    };
+    for (const repo of ['main', 'emea']) execSync(`git init -q ${repo}`, { cwd: dir });
+    commit('main', '21,024 jobs | 9,000 with salary — 26-Feb-2026 04:35 UTC', '2026-02-26T04:35:10Z');
+    commit('main', 'Fix typo in workflow', '2026-02-26T05:00:00Z');
+    commit('main', '21,100 jobs | 9,050 with salary — 26-Feb-2026 05:35 UTC', '2026-02-26T05:35:10Z');
+    commit('emea', '7,001 EMEA jobs | 1,800 with salary — 26-Feb-2026 05:35 UTC', '2026-02-26T05:35:12Z');
+  });
+
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  const targets = () => [
+    { id: 'main', name: 'Main', url: 'https://github.com/o/main', path: join(dir, 'main') },
+    { id: 'emea', name: 'EMEA', url: 'https://github.com/o/emea', path: join(dir, 'emea') },
+  ];
+
+  test('backfills data commits oldest first, matched across repos by timestamp', () => {
+    const records = seedHistoryFromGit(targets());
+    assert.equal(records.length, 2);
+    assert.deepEqual(records.map(r => r.ts), ['2026-02-26T04:35:10.000Z', '2026-02-26T05:35:10.000Z']);
+    assert.deepEqual(records[0].targets, { main: { total: 21024 } });
+    assert.deepEqual(records[1].targets, { main: { total: 21100 }, emea: { total: 7001 } });
+    assert.match(records[1].commits.emea, /^[0-9a-f]{40}$/);
+  });
+
+  test('renders as a commit-linked history table, newest first', () => {
+    const table = buildHistoryTable(targets(), seedHistoryFromGit(targets()));
+    const rows = table.split('\n').filter(l => l.startsWith('| 26-Feb'));
+    assert.match(rows[0], /^\| 26-Feb-2026 05:35 UTC \| \[`[0-9a-f]{7}`\]\(https:\/\/github\.com\/o\/main\/commit\/[0-9a-f]+\) 21,100 \| \[`[0-9a-f]{7}`\]\(https:\/\/github\.com\/o\/emea\/commit\/[0-9a-f]+\) 7,001 \|$/);
+    assert.match(rows[1], /21,024 \| — \|$/);
+    assert.match(table, /\| Time \(UTC\) \| Main \| EMEA \|/);
+  });
+
+  test('finds nothing in a directory without git history', () => {
+    assert.deepEqual(seedHistoryFromGit([{ id: 'main', path: join(dir, 'missing') }]), []);
+  });
+});
+
+describe('history records', () => {
+  const targets = [{ id: 'main', name: 'Main', url: 'https://github.com/o/main' }];
+  const record = (ts, total, medianSalary) => ({ ts, targets: { main: { total, withSalary: total / 2, medianSalary } } });
+
+  test('median ignores missing salaries', () => {
+    assert.equal(median([0, 100, 300, 200]), 200);
+    assert.equal(median([0, 100, 200, 300, 400]), 250);
+    assert.equal(median([]), null);
+  });
+
+  test('historyRecord captures totals, regions, targets and top skills', () => {
+    const jobs = [
+      { id: '1', region: 'NA', salaryMin: 100000, salaryMax: 120000, verifiedAt: 'x', skills: 'Go(0.9), SQL(0.5)' },
+      { id: '2', region: 'NA', visibility: 'teaser', skills: 'Go(0.8)' },
+    ];
+    const r = historyRecord(new Date('2026-03-01T22:04:00Z'), jobs, [{ target: targets[0], jobs }], groupByRegion(jobs));
+    assert.equal(r.ts, '2026-03-01T22:04:00.000Z');
+    assert.deepEqual(r.regions.NA, { total: 2, withSalary: 1, verified: 1, teasers: 1, medianSalary: 120000 });
+    assert.equal(r.targets.main.total, 2);
+    assert.deepEqual(r.topSkills, [{ skill: 'Go', count: 2 }, { skill: 'SQL', count: 1 }]);
+  });
+
+  test('trend charts plot one point per day and need at least two days', () => {
+    assert.equal(trendSection(targets[0], targets, [record('2026-03-01T10:00:00Z', 10, 100000)]), '');
+
+    const section = trendSection(targets[0], targets, [
+      record('2026-02-28T10:00:00Z', 8, 90000),
+      record('2026-03-01T09:00:00Z', 9, 95000),
+      record('2026-03-01T10:00:00Z', 10, 100000),
+    ]);
+    assert.match(section, /x-axis \["28-Feb", "1-Mar"\]/);
+    assert.match(section, /bar \[8, 10\]/);
+    assert.match(section, /line \[4, 5\]/);
+    assert.match(section, /line \[90, 100\]/);
+  });
+});
+
+describe('git publishing', () => {
+  const author = { name: 'bot', email: 'bot@t', remote: 'origin', branch: 'main', pushRetries: 3 };
+  const sh = (cwd, cmd) => execSync(cmd, { cwd, encoding: 'utf-8', env: { ...process.env, GIT_AUTHOR_NAME: 't', GIT_AUTHOR_EMAIL: 't@t', GIT_COMMITTER_NAME: 't', GIT_COMMITTER_EMAIL: 't@t' } }).trim();
+  let dir;
+
+  /** A bare "GitHub" remote plus a clone with one commit, like the workflow's checkouts */
+  function repo(name) {
+    sh(dir, `git init -q --bare -b main ${name}.git && git clone -q ${name}.git ${name} 2>/dev/null`);
+    const path = join(dir, name);
+    writeFileSync(join(path, 'LICENSE'), 'MIT\n');
+    sh(path, 'git add LICENSE && git commit -q -m init && git push -q origin HEAD:main');
+    return path;
+  }
+
+  function runs(ts) {
+    return ['main', 'emea'].map(id => {
+      const path = join(dir, id);
+      writeFileSync(join(path, 'README.md'), `# ${id} ${ts}\n`);
+      return { target: { id, name: id.toUpperCase(), path }, jobs: [{ id: '1' }], commitMsg: `${id} jobs — ${ts}` };
+    });
+  }
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'publish-git-'));
+    repo('main');
+    repo('emea');
+  });
+
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  test('commits every repo and pushes, with a manifest naming the other commits', () => {
+    const runDate = new Date('2026-03-01T22:04:00Z');
+    writeFileSync(join(dir, 'main', 'notes.txt'), 'not published\n');
+    const commits = publishRuns(runs(runDate.toISOString()), runDate, author, { push: true });
+
+    assert.equal(sh(join(dir, 'emea.git'), 'git rev-parse main'), commits.emea);
+    assert.equal(sh(join(dir, 'main.git'), 'git rev-parse main'), commits.main);
+    assert.equal(sh(join(dir, 'main'), 'git log -1 --format=%an'), 'bot');
+    assert.match(sh(join(dir, 'main'), 'git status --porcelain'), /\?\? notes\.txt/);
+
+    const [entry] = readRunManifests(join(dir, 'main'), 5);
+    assert.equal(entry.hash, commits.main);
+    assert.deepEqual(entry.manifest, {
+      ts: '2026-03-01T22:04:00.000Z',
+      targets: { main: { commit: null, changed: true, total: 1 }, emea: { commit: commits.emea, changed: true, total: 1 } },
+    });
+  });
+
+  test('rebases and retries a rejected push, amending the manifest', () => {
+    sh(dir, 'git clone -q emea.git emea-other 2>/dev/null');
+    writeFileSync(join(dir, 'emea-other', 'CONTRIBUTING.md'), 'hi\n');
+    sh(join(dir, 'emea-other'), 'git add . && git commit -q -m docs && git push -q origin HEAD:main');
+
+    const runDate = new Date('2026-03-01T23:04:00Z');
+    const commits = publishRuns(runs(runDate.toISOString()), runDate, author, { push: true });
+    assert.equal(sh(join(dir, 'emea.git'), 'git rev-parse main'), commits.emea);
+    assert.equal(sh(join(dir, 'emea.git'), 'git log -1 --format=%s main~1'), 'docs');
+    assert.equal(readRunManifests(join(dir, 'main'), 5)[0].manifest.targets.emea.commit, commits.emea);
+  });
+
+  test('a failed commit rolls back the repos already committed and pushes nothing', () => {
+    const emeaHead = sh(join(dir, 'emea'), 'git rev-parse HEAD');
+    const [, emea] = runs('broken');
+    const primary = { target: { id: 'main', name: 'MAIN', path: join(dir, 'not-a-repo') }, jobs: [], commitMsg: 'x' };
+    assert.throws(() => publishRuns([primary, emea], new Date(), author, { push: true }), /git .* failed/);
+    assert.equal(sh(join(dir, 'emea'), 'git rev-parse HEAD'), emeaHead);
+    assert.equal(sh(join(dir, 'emea.git'), 'git rev-parse main'), emeaHead);
+    assert.match(sh(join(dir, 'emea'), 'git status --porcelain'), /^M  README\.md/);
+  });
+
+  test('only the generated directories a run writes are reset and staged', () => {
+    const files = [{ path: 'README.md' }, { path: 'feeds/regions/ww.atom.xml' }, { path: 'docs/index.html' }, { path: join('skills', 'go.md') }];
+    assert.deepEqual(outputDirs({}, files), ['regions', 'feeds', 'skills']);
+    assert.deepEqual(outputDirs({ site: {} }, files), ['regions', 'feeds', 'skills', 'docs']);
+
+    const emea = join(dir, 'emea');
+    sh(emea, 'git reset -q --hard HEAD');
+    mkdirSync(join(emea, 'docs'));
+    writeFileSync(join(emea, 'docs', 'guide.md'), 'hand-written\n');
+    mkdirSync(join(emea, 'feeds'));
+    writeFileSync(join(emea, 'feeds', 'ww.atom.xml'), '<feed/>\n');
+    writeFileSync(join(emea, 'README.md'), '# emea dirs\n');
+    assert.ok(commitTarget({ path: emea }, 'dirs', author, ['regions', 'feeds']));
+    assert.deepEqual(sh(emea, 'git show --name-only --format= HEAD').split('\n').sort(), ['README.md', 'feeds/ww.atom.xml']);
+    assert.match(sh(emea, 'git status --porcelain'), /\?\? docs\//);
+  });
+
+  test('history records pick up their commits from the manifests', () => {
+    const targets = [{ id: 'main', path: join(dir, 'main') }, { id: 'emea', path: join(dir, 'emea') }];
+    const history = [{ ts: '2026-03-01T22:04:00.000Z' }, { ts: '2026-03-01T23:04:00.000Z' }, { ts: '2026-03-02T00:00:00.000Z' }];
+    linkHistoryCommits(history, targets);
+    const [first, second] = readRunManifests(join(dir, 'main'), 5).reverse();
+    assert.deepEqual(history[0].commits, { main: first.hash, emea: first.manifest.targets.emea.commit });
+    assert.deepEqual(history[1].commits, { main: second.hash, emea: second.manifest.targets.emea.commit });
+    assert.equal(history[2].commits, undefined);
+  });
+});
+
+describe('freshness', () => {
+  before(() => mock.timers.enable({ apis: ['Date'], now: NOW }));
+  after(() => mock.timers.reset());
+
+  const policy = parseFreshness({ freshness: { maxAgeDays: 14, regions: { apac: 21 }, ats: { Workday: 30 } } }, 'cfg.json');
+  const daysAgo = days => new Date(NOW - days * 86_400_000).toISOString();
+  const job = (id, fields) => ({ id, title: `Job ${id}`, company: 'Acme', region: 'EMEA', scrapedAt: daysAgo(20), ...fields });
+
+  test('config normalizes override keys and rejects bad windows or modes', () => {
+    assert.deepEqual(policy, { maxAgeDays: 14, regions: { APAC: 21 }, ats: { workday: 30 }, stale: 'section' });
+    assert.equal(parseFreshness({}, 'cfg.json').maxAgeDays, 14);
+    assert.throws(() => parseFreshness({ freshness: { stale: 'hide' } }, 'cfg.json'), /freshness\.stale must be section or exclude/);
+    assert.throws(() => parseFreshness({ freshness: { ats: { lever: 0 } } }, 'cfg.json'), /freshness\.ats\.lever must be a positive number/);
+  });
+
+  test('splits off jobs not re-verified within their window — scrapedAt only counts for never-verified jobs', () => {
+    const { fresh, stale } = applyFreshness([
+      job('recent', { verifiedAt: daysAgo(2) }),
+      job('old', { verifiedAt: daysAgo(15) }),
+      job('rescraped', { verifiedAt: daysAgo(15), scrapedAt: daysAgo(1) }),
+      job('apac', { region: 'APAC', location: 'Remote - Australia', verifiedAt: daysAgo(15) }),
+      job('workday', { ats: 'workday', verifiedAt: daysAgo(25) }),
+      job('unverified', { scrapedAt: daysAgo(3) }),
+      job('unverified-old', {}),
+      job('undated', { scrapedAt: null }),
+    ], policy, NOW);
+    assert.deepEqual(stale.map(j => j.id), ['old', 'rescraped', 'unverified-old']);
+    assert.deepEqual(fresh.map(j => [j.id, j.freshness.maxAgeDays]), [['recent', 14], ['apac', 21], ['workday', 30], ['unverified', 14], ['undated', 14]]);
+  });
+
+  test('verified counts only verifications inside the window', () => {
+    const { fresh, stale } = applyFreshness([
+      job('recent', { verifiedAt: daysAgo(2) }),
+      job('rescraped', { verifiedAt: daysAgo(15), scrapedAt: daysAgo(1) }),
+      job('never', { scrapedAt: daysAgo(1) }),
+    ], policy, NOW);
+    assert.deepEqual(fresh.map(isVerified), [true, false]);
+    assert.deepEqual(stale.map(isVerified), [false]);
+    assert.equal(formatCommitMessage('{total} jobs, {verified} verified', fresh, null, 'now'), '2 jobs, 1 verified');
+    assert.equal(isVerified({ verifiedAt: daysAgo(100) }), true, 'jobs without a freshness policy keep the old meaning');
+  });
+
+  test('badges read "verified N days ago"', () => {
+    assert.equal(verifiedBadge({ verifiedAt: daysAgo(0.5) }, NOW), 'verified today');
+    assert.equal(verifiedBadge({ verifiedAt: daysAgo(1) }, NOW), 'verified 1 day ago');
+    assert.equal(verifiedBadge({ verifiedAt: daysAgo(9) }, NOW), 'verified 9 days ago');
+    assert.equal(verifiedBadge({ verifiedAt: null }, NOW), '');
+  });
+
+  test('Possibly Closed lists a target\'s stale jobs, most recently seen first', () => {
+    const { stale } = applyFreshness([
+      job('older', { verifiedAt: daysAgo(40), scrapedAt: daysAgo(40) }),
+      job('newer', { verifiedAt: daysAgo(16), scrapedAt: daysAgo(16) }),
+      job('workday', { ats: 'workday', verifiedAt: daysAgo(31), scrapedAt: daysAgo(31) }),
+    ], policy, NOW);
+    const target = { id: 'emea', filter: { regions: ['EMEA'] }, sections: [], commitMessage: '{total} jobs' };
+    const run = planRun(target, [], groupByRegion([]), null, 'now', stale);
+    const context = staleContext(run, {});
+    assert.deepEqual([context.count, context.window, context.limit], [3, '14–30 days', null]);
+    const section = renderTemplate(loadTemplates(TEMPLATE_DIR), 'possibly-closed', { ref: 'test', ...context });
+    assert.match(section, /^## Possibly Closed \(3\)\n\nNot re-verified on the employer's site in the last 14–30 days/);
+    assert.ok(section.indexOf('Job newer') < section.indexOf('Job workday') && section.indexOf('Job workday') < section.indexOf('Job older'));
+    assert.match(section, /verified 40 days ago/);
+    assert.equal(staleContext(planRun(target, [], groupByRegion([]), null, 'now'), {}), null);
+  });
+
+  test('section mode keeps stale jobs published, flagged, and out of the closed list', () => {
+    const { fresh, stale } = applyFreshness([
+      job('open', { verifiedAt: daysAgo(1), scrapedAt: daysAgo(1) }),
+      job('lapsed', { verifiedAt: daysAgo(40), scrapedAt: daysAgo(40) }),
+    ], policy, NOW);
+    const target = { id: 'emea', filter: { regions: ['EMEA'] }, sections: ['EMEA'], commitMessage: '{total} jobs' };
+    const previous = buildDataJson([...fresh, ...stale].map(({ freshness, ...j }) => j));
+    const groups = groupByRegion(fresh);
+
+    const section = planRun(target, fresh, groups, previous, 'now', stale);
+    assert.deepEqual(section.data.map(r => [r.id, r.freshness.stale]), [['open', false], ['lapsed', true]]);
+    assert.deepEqual(section.changes.removed, []);
+    assert.deepEqual(section.stale.map(j => j.id), ['lapsed']);
+    assert.deepEqual(exportRows(section).map(r => r.stale), [false, true]);
+    const site = siteIndex({ ...section, target: { ...target, label: 'EMEA', url: 'https://github.com/o/r', site: {} } }, {}, new Date(NOW));
+    assert.deepEqual(site.jobs.map(row => [row[0], row[site.fields.indexOf('stale')]]), [['open', 0], ['lapsed', 1]]);
+
+    const exclude = planRun(target, fresh, groups, previous, 'now');
+    assert.deepEqual(exclude.data.map(r => r.id), ['open']);
+    assert.deepEqual(exclude.changes.removed.map(r => r.id), ['lapsed']);
+  });
+});
+
+describe('guardrails', () => {
+  const limits = { maxDrop: 0.3, minRegionJobs: 10, maxTeaserRise: 0.15, maxSalaryCoverageDrop: 0.2 };
+  const counts = (total, withSalary, teasers, regions) => ({ total, withSalary, teasers, regions });
+  const baseline = counts(100, 60, 10, { NA: { total: 60 }, EMEA: { total: 35 }, LATAM: { total: 5 } });
+  const failed = results => results.filter(r => !r.ok).map(r => r.check);
+
+  test('a normal run passes every check', () => {
+    const current = counts(90, 50, 12, { NA: { total: 55 }, EMEA: { total: 35 }, LATAM: { total: 0 } });
+    const results = checkGuardrails(current, baseline, [], limits);
+    assert.deepEqual(failed(results), []);
+    assert.deepEqual(results.map(r => r.check), ['total', 'region NA', 'region EMEA', 'teaser ratio', 'salary coverage']);
+  });
+
+  test('flags a total drop, an emptied region, a teaser jump and a salary collapse', () => {
+    const current = counts(60, 10, 20, { NA: { total: 60 } });
+    assert.deepEqual(failed(checkGuardrails(current, baseline, [], limits)), ['total', 'region EMEA', 'teaser ratio', 'salary coverage']);
+  });
+
+  test('compares each target with its previously published jobs', () => {
+    const run = { target: { id: 'emea' }, previous: Array(20).fill({}), data: Array(10).fill({}) };
+    assert.deepEqual(failed(checkGuardrails(baseline, baseline, [run], limits)), ['target emea']);
+    assert.deepEqual(checkGuardrails(baseline, null, [{ ...run, previous: null }], limits), []);
+  });
+
+  test('baseline is the last full history record, else the previous data/jobs.json', () => {
+    const full = { ts: 'b', ...baseline };
+    assert.equal(guardrailBaseline([{ ts: 'a', targets: {} }, full, { ts: 'c', targets: {} }], null), full);
+    const previous = [{ region: 'NA', salary: '$100k' }, { region: null, visibility: 'teaser' }];
+    assert.deepEqual(guardrailBaseline([{ ts: 'a', targets: {} }], previous), counts(2, 1, 1, { NA: { total: 1 }, WW: { total: 1 } }));
+    assert.deepEqual(recordCounts([]), counts(0, 0, 0, {}));
+    assert.equal(guardrailBaseline([], null), null);
+  });
+});
+
+describe('company directory', () => {
+  const job = (id, company, over = {}) => ({
+    id, title: `Role ${id}`, company, region: 'NA', isRemote: true, location: 'Remote - USA', skills: 'Go(0.9)', ats: 'lever',
+    salaryMin: 100000, salaryMax: 150000, visibility: 'full', scrapedAt: '2026-03-01T20:00:00.000Z', ...over,
+  });
+  const target = { label: 'Test', companies: {}, pageSize: 2, sort: 'fresh' };
+  const jobs = [
+    job('1', 'Acme'), job('2', 'ACME', { region: 'EMEA', location: 'Remote - in EU', salaryMax: 180000 }), job('3', 'Acme'),
+    job('4', 'Globex', { ats: 'greenhouse' }), job('5', 'Globex, Inc.', { ats: 'greenhouse' }), job('6', 'Secret Co', { visibility: 'teaser' }),
+  ];
+
+  test('groups non-teaser jobs by normalized name with the open-role change since the last publish', () => {
+    const previous = [{ company: 'Acme' }, { company: 'Globex' }, { company: 'Globex' }, { company: null, visibility: 'teaser' }];
+    const companies = companyGroups({ listed: jobs, previous }, 1);
+    assert.deepEqual(companies.map(c => [c.name, c.jobs.length, c.change, c.slug]), [
+      ['Acme', 3, 2, 'acme'],
+      ['Globex', 2, 0, 'globex'],
+    ]);
+    assert.equal(companyGroups({ listed: jobs, previous: null }, 1)[0].change, null);
+    assert.deepEqual(companyGroups({ listed: jobs, previous: null }, 3).map(c => c.name), ['Acme']);
+  });
+
+  test('leaves out jobs the README does not list, now and in the previous publish', () => {
+    const all = [
+      ...jobs,
+      job('7', 'Acme', { title: 'Careers' }),
+      job('8', 'Globex', { region: 'WW', isRemote: false, location: 'Onsite' }),
+    ];
+    const target = { filter: {} };
+    const run = { target, jobs: all, listed: listedJobs(target, groupByRegion(all)), previous: buildDataJson(all) };
+    const companies = companyGroups(run, 1);
+    assert.deepEqual(companies.map(c => [c.name, c.jobs.length, c.change]), [['Acme', 3, 0], ['Globex', 2, 0]]);
+  });
+
+  test('writes an index and paginated company pages with salary range, skills and ATS', () => {
+    const files = buildCompanyPages({ target, listed: jobs, previous: [{ company: 'Acme' }] }, { acme: 'logo-acme' });
+    assert.deepEqual(files.map(f => f.path), [
+      join('companies', 'README.md'),
+      join('companies', 'acme', 'README.md'),
+      join('companies', 'acme', 'page-2.md'),
+      join('companies', 'globex', 'README.md'),
+    ]);
+    const index = files[0].content;
+    assert.match(index, /2 companies with 5 open roles/);
+    assert.match(index, /\[Acme\]\(acme\/README\.md\) \| 3 \| \+2 \| North America, Europe & Middle East \| Go \|/);
+    assert.doesNotMatch(index, /Secret Co/);
+
+    const acme = files[1].content;
+    assert.match(acme, /company-logo\?id=logo-acme" alt="" height="32"> Acme/);
+    assert.match(acme, /\*\*3 open roles\*\* \(\+2 since the last update\)/);
+    assert.match(acme, /Salary range: \$100k–\$180k\/year \(3 of 3 roles list a salary\)/);
+    assert.match(acme, /Hiring through: lever/);
+    assert.match(acme, /\| Role 2 \| 🌐 EU • EMEA \| .* \| Go \| lever \|/);
+  });
+});
+
+describe('marketStats', () => {
+  const job = (over) => ({ id: over.id, title: 'Engineer', company: 'Acme', isRemote: true, visibility: 'full', ...over });
+
+  test('percentile interpolates between neighbours', () => {
+    assert.equal(percentile([100, 200, 300, 400], 0.5), 250);
+    assert.equal(percentile([100, 200, 300, 400, 500], 0.25), 200);
+    assert.equal(percentile([100], 0.75), 100);
+  });
+
+  test('salary percentiles use annual midpoints and skip low-confidence salaries', () => {
+    const stats = salaryPercentiles([
+      job({ id: '1', salaryMin: 100000, salaryMax: 140000 }),
+      job({ id: '2', salaryMin: 150000, salaryMax: 150000 }),
+      job({ id: '3', salaryMin: 180000, salaryMax: 220000 }),
+      job({ id: '4', salary: '$50/hour' }),
+      job({ id: '5', salaryMin: 800000, salaryMax: 900000 }),
+      job({ id: '6' }),
+    ]);
+    assert.deepEqual(stats, { count: 3, p25: 135000, p50: 150000, p75: 175000 });
+    assert.equal(salaryPercentiles([job({ id: '6' })]), null);
+  });
+
+  test('breaks down by seniority in career order, ranks skills and companies, measures remote share', () => {
+    const stats = marketStats([
+      job({ id: '1', seniority: 'Senior', salaryMin: 150000, salaryMax: 170000, skills: 'Go(0.9), SQL(0.4)', company: 'Acme' }),
+      job({ id: '2', seniority: 'Mid', salaryMin: 100000, salaryMax: 120000, skills: 'Go(0.8)', company: 'Beta' }),
+      job({ id: '3', seniority: 'Senior', skills: 'Rust(0.9)', company: 'Acme', isRemote: false }),
+      job({ id: '4', seniority: 'Senior', skills: 'Go(0.7)', company: 'Secret', visibility: 'teaser' }),
+    ]);
+    assert.equal(stats.total, 4);
+    assert.equal(stats.remoteShare, 0.75);
+    assert.deepEqual(Object.keys(stats.bySeniority), ['Mid', 'Senior']);
+    assert.equal(stats.bySeniority.Senior.total, 3);
+    assert.deepEqual(stats.bySeniority.Senior.salary, { count: 1, p25: 160000, p50: 160000, p75: 160000 });
+    assert.deepEqual(stats.topSkills[0], { skill: 'Go', category: 'language', count: 3, share: 0.75 });
+    assert.deepEqual(stats.topCompanies, [{ company: 'Acme', count: 2 }, { company: 'Beta', count: 1 }]);
+  });
+
+  test('counts spellings of one company together under the most common one', () => {
+    const stats = marketStats([
+      job({ id: '1', company: 'Globex' }),
+      job({ id: '2', company: 'Globex Corporation' }),
+      job({ id: '3', company: 'GLOBEX' }),
+      job({ id: '4', company: 'Globex' }),
+      job({ id: '5', company: 'Initech, Inc.' }),
+    ]);
+    assert.deepEqual(stats.topCompanies, [{ company: 'Globex', count: 4 }, { company: 'Initech, Inc.', count: 1 }]);
+  });
+});
+
+describe('rankJobs', () => {
+  const now = NOW;
+  const hoursAgo = h => new Date(now - h * 3_600_000).toISOString();
+  const logos = { acme: 'logo-acme' };
+  const weights = { hot: 0.35, fresh: 0.25, salary: 0.2, verified: 0.1, logo: 0.1 };
+  const job = (over) => ({ title: 'Engineer', company: 'Acme', visibility: 'full', scrapedAt: hoursAgo(1), ...over });
+
+  test('combines signals into a 0–1 score with the strongest reasons first', () => {
+    const { score, reasons } = scoreJob(job({ hotScore: 1, salaryMin: 250000, salaryMax: 250000, verifiedAt: hoursAgo(0), scrapedAt: hoursAgo(0) }), logos, weights, now);
+    assert.equal(score, 1);
+    assert.deepEqual(reasons, ['trending', 'new', 'high salary']);
+
+    const plain = scoreJob(job({ company: 'Nobody', scrapedAt: hoursAgo(24 * 7) }), logos, weights, now);
+    assert.ok(plain.score < 0.01);
+    assert.deepEqual(plain.reasons, []);
+  });
+
+  test('hourly and outlier salaries count as listed but not as high', () => {
+    const { reasons } = scoreJob(job({ salary: '$50/hour', scrapedAt: hoursAgo(100) }), logos, weights, now);
+    assert.deepEqual(reasons, ['salary listed']);
+  });
+
+  test('"verified today" means verified within the last 24 hours', () => {
+    const reasons = hours => scoreJob(job({ verifiedAt: hoursAgo(hours), scrapedAt: hoursAgo(100) }), logos, { verified: 1 }, now).reasons;
+    assert.deepEqual(reasons(23.5), ['verified today']);
+    assert.deepEqual(reasons(24.5), []);
+  });
+
+  test('Top Jobs covers only the target\'s on-page regions, in section order', () => {
+    const jobs = ['EMEA', 'NA', 'WW', 'APAC'].map(region => job({ id: region, region, isRemote: true, location: 'Remote', verifiedAt: hoursAgo(1) }));
+    const target = { id: 'main', template: 'main', filter: {}, sections: ['NA', 'WW', 'LATAM'], topJobs: { limit: 5 }, commitMessage: 'm' };
+    const run = planRun(target, jobs, groupByRegion(jobs), null, 'now');
+    assert.deepEqual(topJobsContext(run, logos).tables.map(t => t.label), ['North America', 'Remote Worldwide']);
+  });
+
+  test('keeps full listings ahead of teasers and honours custom weights', () => {
+    const hot = job({ id: 'hot', hotScore: 1, scrapedAt: hoursAgo(72) });
+    const paid = job({ id: 'paid', salaryMin: 240000, salaryMax: 260000, scrapedAt: hoursAgo(72) });
+    const teaser = job({ id: 'teaser', hotScore: 1, salaryMin: 300000, salaryMax: 300000, visibility: 'teaser' });
+
+    assert.deepEqual(rankJobs([teaser, paid, hot], logos, weights, now).map(r => r.job.id), ['hot', 'paid', 'teaser']);
+    assert.deepEqual(rankJobs([teaser, hot, paid], logos, { ...weights, hot: 0, salary: 1 }, now).map(r => r.job.id), ['paid', 'hot', 'teaser']);
+  });
+
+  test('rejects unknown sort modes and ranking weights in the config', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'publish-config-'));
+    const write = extra => {
+      const path = join(dir, 'publish.config.json');
+      writeFileSync(path, JSON.stringify({ targets: [{ id: 'main', path: '.', url: 'u', template: 'main', commitMessage: 'm', ...extra }] }));
+      return path;
+    };
+    try {
+      assert.throws(() => loadConfig(write({ sort: 'salary' })), /unknown sort "salary"/);
+      assert.throws(() => loadConfig(write({ ranking: { stars: 1 } })), /unknown ranking weight "stars"/);
+      assert.throws(() => loadConfig(write({ ranking: { hot: -1 } })), /non-negative/);
+      const [target] = loadConfig(write({ sort: 'rank', ranking: { hot: 1 } })).targets;
+      assert.equal(target.ranking.hot, 1);
+      assert.equal(target.ranking.fresh, 0.25);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('saved-search alerts', () => {
+  const runDate = new Date(NOW);
+  const job = (id, over) => ({
+    id, title: `Engineer ${id}`, company: 'Acme', region: 'EMEA', skills: 'Rust(0.9), Go(0.5)',
+    salaryMin: 120000, salaryMax: 140000, visibility: 'full', scrapedAt: '2026-03-01T20:00:00.000Z', ...over,
+  });
+  const runOf = (previousJobs, jobs) => ({
+    target: { id: 'main' },
+    jobs,
+    data: buildDataJson(jobs),
+    previous: previousJobs && buildDataJson(previousJobs),
+  });
+  const filter = { skills: ['rust'], minSalary: 150000 };
+
+  test('new matches are new postings plus jobs that changed into the filter', () => {
+    const run = runOf(
+      [job('1', { salaryMax: 200000 }), job('2')],
+      [job('1', { salaryMax: 200000 }), job('2', { salaryMax: 180000 }), job('3', { salaryMax: 160000 }), job('4', { skills: 'Go(0.9)', salaryMax: 200000 })],
+    );
+    assert.deepEqual(newMatches(filter, run, NOW).map(j => j.id).sort(), ['2', '3']);
+    assert.equal(newMatches(filter, runOf(null, run.jobs), NOW), null);
+  });
+
+  test('writes markdown, MIME and webhook digests only for searches with new matches', () => {
+    const run = runOf([], [job('1', { salaryMax: 200000 }), job('2', { salaryMax: 190000, visibility: 'teaser', company: 'Secret Co' })]);
+    const { files, hooks, summary } = buildAlerts({
+      'Rust EMEA': { filter, email: 'dev@example.com', webhook: 'http://localhost:9999/hook' },
+      quiet: { filter: { skills: ['COBOL'] } },
+    }, [run], runDate);
+
+    assert.deepEqual(summary, { 'Rust EMEA': 2, quiet: 0 });
+    assert.deepEqual(files.map(f => f.path), ['rust-emea/digest.md', 'rust-emea/digest.eml', 'rust-emea/webhook.json', 'index.json']);
+
+    const md = files[0].content;
+    assert.match(md, /^# 2 new jobs for "Rust EMEA"/);
+    assert.match(md, /\[Engineer 1\]\(https:\/\/wagey\.gg\/jobs\/1-engineer-1-at-acme\?ref=github\) at Acme — \$120k–\$200k\/year — Rust, Go/);
+    assert.doesNotMatch(md, /Secret Co/);
+
+    const payload = JSON.parse(files[2].content);
+    assert.equal(payload.count, 2);
+    assert.deepEqual(payload.jobs[1], {
+      id: '2', title: 'Engineer 2', company: null, region: 'EMEA', salary: '$120k–$190k/year',
+      skills: 'Rust, Go', url: 'https://wagey.gg/pricing?ref=github',
+    });
+    assert.deepEqual(hooks, [{ name: 'Rust EMEA', url: 'http://localhost:9999/hook', payload }]);
+  });
+
+  test('email digest is a multipart/alternative message with text and HTML parts', () => {
+    const eml = mimeMessage({
+      from: 'alerts <a@example.com>', to: 'dev@example.com', subject: '1 new job for "Zürich"',
+      date: runDate, text: 'plain body', html: '<p>html body</p>', boundary: 'b1',
+    });
+    const [head, ...parts] = eml.split('\r\n--b1');
+    assert.match(head, /^From: alerts <a@example\.com>\r\nTo: dev@example\.com\r\nSubject: =\?UTF-8\?B\?[A-Za-z0-9+/=]+\?=\r\n/);
+    assert.match(head, /Date: Sun, 01 Mar 2026 22:04:00 \+0000/);
+    assert.match(head, /Content-Type: multipart\/alternative; boundary="b1"/);
+    assert.equal(parts.length, 3);
+    const body = part => Buffer.from(part.split('\r\n\r\n')[1], 'base64').toString('utf-8');
+    assert.match(parts[0], /text\/plain/);
+    assert.equal(body(parts[0]), 'plain body');
+    assert.equal(body(parts[1]), '<p>html body</p>');
+    assert.equal(parts[2], '--\r\n');
+  });
+});
+
+describe('browse pages', () => {
+  const hoursAgo = h => new Date(NOW - h * 3_600_000).toISOString();
+  let id = 0;
+  const job = (skills, seniority) => ({
+    id: `j${++id}`, title: `Role ${id}`, company: 'Acme', region: 'NA', isRemote: true, location: 'Remote - USA', skills, seniority, scrapedAt: hoursAgo(id),
+  });
+  const listed = [
+    job('Go(0.9), C++(0.8)', 'Senior'),
+    job('Go(0.9), C#(0.8)', 'Senior'),
+    job('Go(0.9), C(0.9)', 'senior'),
+    job('C++(0.9)', 'Mid-Level'),
+    job('C#(0.9)', 'Mid Level'),
+    job('', null),
+  ];
+  const target = { label: 'Test', pages: { skills: 3, countries: false }, pageSize: 2, sort: 'fresh' };
+  const files = buildBrowsePages({ target, listed }, {});
+  const file = path => files.find(f => f.path === join(...path.split('/')))?.content;
+  const ids = content => [...content.matchAll(/Role (\d+)/g)].map(m => Number(m[1]));
+
+  test('writes one page set per popular skill with only that skill\'s jobs', () => {
+    assert.deepEqual(files.filter(f => f.path.startsWith('skills')).map(f => f.path), [
+      'skills/README.md', 'skills/go/README.md', 'skills/go/page-2.md', 'skills/cplusplus/README.md', 'skills/csharp/README.md',
+    ].map(p => join(...p.split('/'))));
+    assert.deepEqual(ids(file('skills/cplusplus/README.md')), [1, 4]);
+    assert.deepEqual(ids(file('skills/csharp/README.md')), [2, 5]);
+    assert.deepEqual([...ids(file('skills/go/README.md')), ...ids(file('skills/go/page-2.md'))], [1, 2, 3]);
+    assert.ok(!file('skills/c/README.md'), 'C is the fourth skill — only three were asked for');
+  });
+
+  test('paginates each group with links back to the index and between pages', () => {
+    const go = file('skills/go/README.md');
+    assert.match(go, /^# Go Jobs \(3\)\n\n\[↑ All skills\]\(\.\.\/README\.md\) · Page 1 of 2 · \[Next →\]\(page-2\.md\)\n\nShowing 1–2 of 3 jobs\./);
+    assert.match(file('skills/go/page-2.md'), /\[← Prev\]\(README\.md\) · Page 2 of 2\n\nShowing 3–3 of 3 jobs\./);
+  });
+
+  test('index pages list every group, largest first, linked to its page', () => {
+    assert.equal(file('skills/README.md'), `# Jobs by Skill — Test
+
+[← Back to README](../README.md)
+
+| Skill | Jobs |
+|---|---|
+| [Go](go/README.md) | 3 |
+| [C++](cplusplus/README.md) | 2 |
+| [C#](csharp/README.md) | 2 |
+`);
+    assert.match(file('seniority/README.md'), /^# Jobs by Seniority — Test\n\n\[← Back to README\]\(\.\.\/README\.md\)\n\n\| Seniority \| Jobs \|\n\|---\|---\|\n\| \[Senior\]\(senior\/README\.md\) \| 2 \|\n/);
+  });
+
+  test('seniority labels that slugify alike get their own pages', () => {
+    const paths = files.map(f => f.path);
+    assert.equal(new Set(paths).size, paths.length, 'no two groups write the same file');
+    const index = file('seniority/README.md');
+    assert.match(index, /\| \[senior\]\(senior-2\/README\.md\) \| 1 \|/);
+    assert.match(index, /\| \[Mid-Level\]\(mid-level\/README\.md\) \| 1 \|\n\| \[Mid Level\]\(mid-level-2\/README\.md\) \| 1 \|/);
+    assert.deepEqual(ids(file('seniority/senior/README.md')), [1, 2]);
+    assert.deepEqual(ids(file('seniority/senior-2/README.md')), [3]);
+    assert.deepEqual(ids(file('seniority/mid-level-2/README.md')), [5]);
+    assert.ok(!paths.some(p => p.startsWith('countries')));
+  });
+});
+
+describe('pagination', () => {
+  const hoursAgo = h => new Date(NOW - h * 3_600_000).toISOString();
+  const jobs = (n, region = 'NA') => Array.from({ length: n }, (_, i) => ({
+    id: `${region}-${i + 1}`, title: `Role ${i + 1}`, company: 'Acme', region, isRemote: true, location: 'Remote - US', scrapedAt: hoursAgo(i + 1),
+  }));
+  const sections = (target, list) => {
+    const groups = groupByRegion(list);
+    return buildSections(planRun({ filter: {}, commitMessage: 'm', ...target }, list, groups, null, 'now'), groups, {});
+  };
+  const hub = { id: 'main', label: 'All', template: 'main', sections: ['NA'], pageSize: 2 };
+
+  test('paginate splits into full pages plus a remainder, and never returns zero pages', () => {
+    assert.deepEqual(paginate([1, 2], 2), [[1, 2]]);
+    assert.deepEqual(paginate([1, 2, 3], 2), [[1, 2], [3]]);
+    assert.deepEqual(paginate([1, 2, 3, 4, 5], 2), [[1, 2], [3, 4], [5]]);
+    assert.deepEqual(paginate([], 2), [[]]);
+  });
+
+  test('exactly one page stays in the README with no overflow pages or nav', () => {
+    const [section] = sections(hub, jobs(2));
+    assert.deepEqual(section.files, []);
+    assert.match(section.block, /^Showing 1–2 of 2 jobs\.\n\n\| Company/);
+    assert.doesNotMatch(section.block, /Page \d of|regions\//);
+  });
+
+  test('one job over the limit spills onto page 2, linked both ways', () => {
+    const [section] = sections(hub, jobs(3));
+    assert.match(section.block, /^Showing 1–2 of 3 jobs\./);
+    assert.match(section.block, /Role 2[^\n]*\n\nPage 1 of 2 · \[Next →\]\(regions\/na\/page-2\.md\)\n$/);
+    assert.doesNotMatch(section.block, /Role 3/);
+
+    assert.deepEqual(section.files.map(f => f.path), [join('regions', 'na', 'page-2.md')]);
+    const page = section.files[0].content;
+    assert.match(page, /^# North America \(3\)\n\n\[↑ Back to README\]\(\.\.\/\.\.\/README\.md#na\) · \[← Prev\]\(\.\.\/\.\.\/README\.md#na\) · Page 2 of 2\n\nShowing 3–3 of 3 jobs\./);
+    assert.match(page, /Role 3/);
+    assert.doesNotMatch(page, /Role [12]\b|Next →/);
+  });
+
+  test('middle pages link to their neighbours and the last page only back', () => {
+    const [section] = sections(hub, jobs(5));
+    assert.match(section.block, /Page 1 of 3 · \[Next →\]\(regions\/na\/page-2\.md\)\n$/);
+    const [page2, page3] = section.files.map(f => f.content);
+    assert.match(page2, /\[← Prev\]\(\.\.\/\.\.\/README\.md#na\) · Page 2 of 3 · \[Next →\]\(page-3\.md\)\n\nShowing 3–4 of 5 jobs\./);
+    assert.match(page2, /\n\[← Prev\]\(\.\.\/\.\.\/README\.md#na\) · Page 2 of 3 · \[Next →\]\(page-3\.md\)\n$/);
+    assert.match(page3, /\[← Prev\]\(page-2\.md\) · Page 3 of 3\n\nShowing 5–5 of 5 jobs\./);
+  });
+
+  test('region READMEs page their single list under the target id and the #jobs anchor', () => {
+    const [section] = sections({ id: 'na-jobs', label: 'North America', template: 'region', sections: [], pageSize: 2 }, jobs(3));
+    assert.match(section.block, /\[Next →\]\(regions\/na-jobs\/page-2\.md\)/);
+    assert.deepEqual(section.files.map(f => f.path), [join('regions', 'na-jobs', 'page-2.md')]);
+    assert.match(section.files[0].content, /\[↑ Back to README\]\(\.\.\/\.\.\/README\.md#jobs\)/);
+  });
+
+  test('an empty section renders the empty table without a showing line', () => {
+    const [section] = sections(hub, []);
+    assert.equal(section.block, '*No jobs currently listed.*\n');
+    assert.deepEqual(section.files, []);
+  });
+});
+
+describe('changelog', () => {
+  const record = (id, over = {}) => ({ id, title: `Role ${id}`, company: 'Acme', region: 'NA', salaryMin: 100000, salaryMax: 120000, seniority: 'Senior', visibility: 'full', ...over });
+
+  test('diffJobs reports added, removed and changed jobs by id', () => {
+    const previous = [record('a'), record('b'), record('c', { company: null, region: 'EMEA' }), record('d', { seniority: null })];
+    const current = [
+      record('a'),
+      record('b', { title: 'Staff Role b', salaryMin: 130000 }),
+      record('d', { seniority: undefined }),
+      record('e'),
+    ];
+    const { added, removed, changed } = diffJobs(previous, current);
+    assert.deepEqual(added.map(j => j.id), ['e']);
+    assert.deepEqual(removed, [{ id: 'c', title: 'Role c', company: null, region: 'EMEA' }]);
+    assert.deepEqual(changed, [{
+      id: 'b',
+      title: 'Staff Role b',
+      fields: { title: { from: 'Role b', to: 'Staff Role b' }, salaryMin: { from: 100000, to: 130000 } },
+    }], 'a missing field and null are the same value');
+  });
+
+  test('the first run has no previous snapshot and no changes section', () => {
+    const jobs = [{ id: '1', title: 'Engineer', company: 'Acme', region: 'NA', isRemote: true, location: 'Remote - US', scrapedAt: '2026-03-01T20:00:00.000Z' }];
+    const target = { id: 'na', label: 'North America', filter: { regions: ['NA'] }, sections: [], commitMessage: '{added} new, {removed} closed' };
+    const run = planRun(target, jobs, groupByRegion(jobs), null, 'now');
+    assert.equal(run.changes, null);
+    assert.equal(changesContext(run, {}), null);
+    assert.equal(run.commitMsg, '0 new, 0 closed');
+
+    const next = planRun(target, jobs, groupByRegion(jobs), [], 'now');
+    assert.deepEqual(next.changes.added.map(j => j.id), ['1']);
+    assert.equal(changesContext(next, {}).newJobs.rows.length, 1);
+  });
+
+  test('changes section lists new jobs in a table and caps the closed list', () => {
+    const templates = loadTemplates(TEMPLATE_DIR);
+    const render = context => renderTemplate(templates, 'changes', { ref: 'test', ...context });
+    const removed = Array.from({ length: 22 }, (_, i) => ({ id: `r${i}`, title: i === 0 ? 'Lead | Dev' : `Old ${i}`, company: i === 1 ? null : 'Acme', region: 'NA' }));
+    const run = { jobs: [], changes: { added: [], removed, changed: [{ id: 'x', title: 'X', fields: {} }] } };
+
+    const section = render(changesContext(run, {}));
+    assert.match(section, /^## Changes Since Last Update\n\n\*\*0 new\*\*, \*\*22 closed\*\* and 1 updated since the previous run\./);
+    assert.match(section, /### New this hour \(0\)\n\n\*No new jobs\.\*\n\n### Closed since last update \(22\)\n\n- Lead \\\| Dev — Acme \(NA\)\n- Old 1 \(NA\)\n/);
+    assert.equal(section.match(/^- /gm).length, 21);
+    assert.match(section, /- Old 19 — Acme \(NA\)\n- …and 2 more\n\n---\n$/);
+
+    const job = { id: 'n1', title: 'New Role', company: 'Acme', region: 'NA', scrapedAt: '2026-03-01T20:00:00.000Z' };
+    const added = render(changesContext({ jobs: [job], changes: { added: [job], removed: [], changed: [] } }, {}));
+    assert.match(added, /### New this hour \(1\)\n\n\| Company \| Role \|[^\n]*\n\|-[^\n]*\n\| [^\n]*New Role[^\n]*\n\n### Closed since last update \(0\)\n\n\*No closed jobs\.\*\n/);
+  });
+
+  test('pruneChanges keeps only the newest CHANGES_KEEP changelogs', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'publish-changes-'));
+    try {
+      const start = Date.parse('2026-02-20T00:00:00.000Z');
+      const names = Array.from({ length: 171 }, (_, i) => changesFileName(new Date(start + i * 3_600_000)));
+      for (const name of names) writeFileSync(join(dir, name), '{}');
+      writeFileSync(join(dir, 'notes.txt'), 'not a changelog');
+      pruneChanges(dir);
+      assert.deepEqual(readdirSync(dir).sort(), [...names.slice(3), 'notes.txt'].sort());
+      assert.equal(names[0], '2026-02-20T00-00Z.json');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('feeds', () => {
+  const hoursAgo = h => new Date(NOW - h * 3_600_000).toISOString();
+  const job = (id, region, skills, hours, over = {}) => ({
+    id, title: `Engineer ${id}`, company: 'Acme', region, isRemote: true, location: 'Remote', skills, visibility: 'full', scrapedAt: hoursAgo(hours), ...over,
+  });
+  const jobs = [
+    job('e1', 'EMEA', 'Go(0.9), C++(0.8)', 3),
+    job('e2', 'EMEA', 'Go(0.9)', 1, { title: 'Dev <Ops> & "QA"', company: 'Foo & Bar\'s' }),
+    job('e3', 'EMEA', 'C++(0.9)', 2, { visibility: 'teaser', company: 'Secret Corp' }),
+    job('e4', 'EMEA', 'Go(0.9), Rust(0.7)', 5),
+    job('n1', 'NA', 'Go(0.9), Rust(0.9)', 0.5),
+  ];
+  const groups = groupByRegion(jobs);
+  const target = {
+    id: 'emea', label: 'Europe & Middle East', url: 'https://github.com/org/emea', template: 'region',
+    filter: { regions: ['EMEA'] }, sections: [], feeds: { skills: 2, limit: 3 }, commitMessage: 'm',
+  };
+  const files = buildFeeds(planRun(target, jobs, groups, null, 'now'), groups, new Date(NOW));
+  const file = path => {
+    const found = files.find(f => f.path === path);
+    assert.ok(found, `missing ${path} (have ${files.map(f => f.path).join(', ')})`);
+    return found.content;
+  };
+
+  /** Minimal XML well-formedness: one root, balanced tags and no bare ampersands or angle brackets in text */
+  function assertWellFormedXml(xml) {
+    const body = xml.replace(/^<\?xml[^?]*\?>\n/, '');
+    const stack = [];
+    let roots = 0;
+    for (const [, close, name, attrs, selfClosing] of body.matchAll(/<(\/?)([\w:]+)((?:\s+[\w:]+="[^"<]*")*)\s*(\/?)>/g)) {
+      assert.doesNotMatch(attrs, /&(?!amp;|lt;|gt;|quot;|apos;)/, `unescaped & in <${name}${attrs}>`);
+      if (!close && stack.length === 0) roots++;
+      if (close) assert.equal(stack.pop(), name, `mismatched </${name}>`);
+      else if (!selfClosing) stack.push(name);
+    }
+    assert.deepEqual(stack, [], 'unclosed tags');
+    assert.equal(roots, 1);
+    const text = body.replace(/<(\/?)([\w:]+)((?:\s+[\w:]+="[^"<]*")*)\s*(\/?)>/g, '');
+    assert.doesNotMatch(text, /[<>]|&(?!amp;|lt;|gt;|quot;|apos;)/, 'unescaped markup in text');
+  }
+
+  test('writes Atom, RSS and JSON Feed per covered region and popular skill, plus an index', () => {
+    assert.deepEqual(files.map(f => f.path).sort(), [
+      'feeds/README.md',
+      'feeds/regions/emea.atom.xml', 'feeds/regions/emea.feed.json', 'feeds/regions/emea.rss.xml',
+      'feeds/skills/cplusplus.atom.xml', 'feeds/skills/cplusplus.feed.json', 'feeds/skills/cplusplus.rss.xml',
+      'feeds/skills/go.atom.xml', 'feeds/skills/go.feed.json', 'feeds/skills/go.rss.xml',
+    ].map(p => join(...p.split('/'))));
+    assert.match(file(join('feeds', 'README.md')), /\| Go \| 3 \| \[Atom\]\(skills\/go\.atom\.xml\)/);
+  });
+
+  test('every feed is well-formed', () => {
+    for (const { path, content } of files) {
+      if (path.endsWith('.xml')) assertWellFormedXml(content);
+      if (path.endsWith('.json')) assert.equal(JSON.parse(content).version, 'https://jsonfeed.org/version/1.1');
+    }
+    const atom = file(join('feeds', 'regions', 'emea.atom.xml'));
+    assert.match(atom, /^<\?xml version="1\.0" encoding="utf-8"\?>\n<feed xmlns="http:\/\/www\.w3\.org\/2005\/Atom">/);
+    assert.match(atom, /<link rel="self" type="application\/atom\+xml" href="https:\/\/raw\.githubusercontent\.com\/org\/emea\/main\/feeds\/regions\/emea\.atom\.xml"\/>/);
+    assert.match(file(join('feeds', 'regions', 'emea.rss.xml')), /<rss version="2\.0"[^>]*>\n  <channel>/);
+  });
+
+  test('escapes titles and companies and hides teaser companies', () => {
+    const atom = file(join('feeds', 'regions', 'emea.atom.xml'));
+    assert.match(atom, /<title>Dev &lt;Ops&gt; &amp; &quot;QA&quot; at Foo &amp; Bar&apos;s<\/title>/);
+    assert.match(file(join('feeds', 'regions', 'emea.rss.xml')), /<description>Foo &amp; Bar&apos;s · /);
+    const json = JSON.parse(file(join('feeds', 'regions', 'emea.feed.json')));
+    assert.equal(json.items[0].title, 'Dev <Ops> & "QA" at Foo & Bar\'s');
+
+    const teaser = json.items.find(i => i.id === 'urn:wagey:job:e3');
+    assert.equal(teaser.title, 'Engineer e3');
+    assert.match(teaser.content_text, /^Company hidden — Pro members only/);
+    assert.match(teaser.url, /^https:\/\/wagey\.gg\/pricing/);
+    assert.ok(!file(join('feeds', 'regions', 'emea.atom.xml')).includes('Secret Corp'));
+  });
+
+  test('holds the newest `limit` jobs, newest first', () => {
+    const ids = path => JSON.parse(file(path)).items.map(i => i.id.replace('urn:wagey:job:', ''));
+    assert.deepEqual(ids(join('feeds', 'regions', 'emea.feed.json')), ['e2', 'e3', 'e1']);
+    const atomIds = [...file(join('feeds', 'regions', 'emea.atom.xml')).matchAll(/<id>urn:wagey:job:(\w+)<\/id>/g)].map(m => m[1]);
+    const rssIds = [...file(join('feeds', 'regions', 'emea.rss.xml')).matchAll(/<guid isPermaLink="false">urn:wagey:job:(\w+)<\/guid>/g)].map(m => m[1]);
+    assert.deepEqual(atomIds, ['e2', 'e3', 'e1']);
+    assert.deepEqual(rssIds, ['e2', 'e3', 'e1']);
+  });
+
+  test('filters each feed to its region and skill', () => {
+    const ids = path => JSON.parse(file(path)).items.map(i => i.id.replace('urn:wagey:job:', '')).sort();
+    assert.deepEqual(ids(join('feeds', 'skills', 'go.feed.json')), ['e1', 'e2', 'e4'].sort());
+    assert.deepEqual(ids(join('feeds', 'skills', 'cplusplus.feed.json')), ['e1', 'e3']);
+    for (const { path, content } of files.filter(f => f.path.endsWith('.json'))) {
+      assert.ok(!content.includes('urn:wagey:job:n1'), `${path} leaks a North America job`);
+    }
+    assert.ok(!files.some(f => f.path.includes('rust')), 'Rust is the third skill — only two skill feeds were asked for');
+  });
+});
+
+describe('static site', () => {
+  const target = { id: 'main', label: 'All regions', url: 'https://github.com/o/main', site: { skills: 2 } };
+  const jobs = [
+    { id: 'a', title: 'Go Dev', company: 'Acme', region: 'EMEA', isRemote: true, salaryMin: 100000, salaryMax: 120000, skills: 'Go(0.9), SQL(0.5)', scrapedAt: '2026-03-01T20:00:00.000Z' },
+    { id: 'b', title: 'Rust Dev', company: 'Acme', region: 'NA', isRemote: true, skills: 'Rust(0.9), Go(0.5)', scrapedAt: '2026-03-01T21:00:00.000Z' },
+    { id: 'c', title: 'Secret Dev', company: 'Hidden Inc', region: 'NA', visibility: 'teaser', skills: 'Go(0.9), Rust(0.6)', scrapedAt: '2026-03-01T19:00:00.000Z' },
+  ];
+  const run = { target, listed: jobs };
+  const logos = { acme: 'logo-acme' };
+
+  test('index stores companies and skills once and keeps teasers anonymous', () => {
+    const index = siteIndex(run, logos, new Date(NOW));
+    const row = id => Object.fromEntries(index.fields.map((f, i) => [f, index.jobs.find(j => j[0] === id)[i]]));
+
+    assert.deepEqual(index.jobs.map(j => j[0]), ['b', 'a', 'c']);
+    assert.deepEqual(index.companies, [{ name: 'Acme', logo: 'https://wagey.gg/api/company-logo?id=logo-acme' }]);
+    assert.deepEqual(index.chips, ['Go', 'Rust']);
+    assert.deepEqual(index.regions.map(r => [r.code, r.count]), [['EMEA', 1], ['NA', 2]]);
+
+    assert.equal(row('a').annualUsd, 120000);
+    assert.deepEqual(row('a').skills.map(i => index.skills[i]), ['Go', 'SQL']);
+    assert.equal(row('a').url, 'https://wagey.gg/jobs/a-go-dev-at-acme?ref=github');
+
+    const teaser = row('c');
+    assert.equal(teaser.company, -1);
+    assert.match(teaser.mask, /^░{4,12}$/);
+    assert.equal(teaser.url, '');
+    assert.doesNotMatch(JSON.stringify(index), /Hidden Inc/);
+  });
+
+  test('site files load the index as a script so the page works from disk', () => {
+    const files = buildSite(run, logos, new Date(NOW));
+    assert.deepEqual(files.map(f => f.path).sort(), ['docs/.nojekyll', 'docs/app.js', 'docs/index.html', 'docs/jobs-index.js', 'docs/style.css']);
+    const html = files.find(f => f.path === 'docs/index.html').content;
+    assert.match(html, /<script src="jobs-index\.js"><\/script>\n<script src="app\.js"><\/script>/);
+    assert.match(files.find(f => f.path === 'docs/jobs-index.js').content, /^window\.JOB_INDEX = \{.*\};\n$/);
+  });
+});
+
+describe('exports', () => {
+  const jobs = [
+    { id: '1', title: 'Engineer, Platform', company: 'Acme', region: 'NA', salaryMin: 100000, salaryMax: 120000, skills: 'Go(0.95), SQL', seniority: 'Senior', ats: 'lever', scrapedAt: '2026-03-01T20:00:00.000Z' },
+    { id: '2', title: 'Designer', company: 'Hidden', region: 'EMEA', skills: 'Figma(0.8), golang(0.55)', visibility: 'teaser', scrapedAt: '2026-03-01T21:00:00.000Z' },
+  ];
+  const run = { target: { name: 'Main', exports: { formats: ['csv', 'ndjson', 'sqlite'] } }, jobs, data: buildDataJson(jobs) };
+  let hasSqlite = true;
+  try { createRequire(import.meta.url)('node:sqlite'); } catch { hasSqlite = false; }
+
+  test('rows flatten salary details and keep skill confidence', () => {
+    const [row, teaser] = exportRows(run);
+    assert.equal(row.currency, 'USD');
+    assert.equal(row.annualUsdMax, 120000);
+    assert.equal(row.salaryConfidence, 'high');
+    assert.deepEqual(row.skills, [{ name: 'Go', category: 'language', confidence: 0.95 }, { name: 'SQL', category: 'language', confidence: null }]);
+    assert.equal(teaser.company, null);
+    assert.equal(teaser.url, null);
+  });
+
+  test('csv has one header row and quotes embedded commas', () => {
+    const [header, first] = jobsCsv(exportRows(run)).trim().split('\n');
+    assert.match(header, /^id,title,company,region,seniority,salary,/);
+    assert.match(first, /^1,"Engineer, Platform",Acme,NA,Senior,/);
+    assert.match(first, /,Go:0\.95;SQL,lever,/);
+  });
+
+  test('sqlite has normalized, queryable tables', { skip: !hasSqlite && 'node:sqlite needs Node 22.5+' }, () => {
+    const dir = mkdtempSync(join(tmpdir(), 'publish-sqlite-'));
+    const path = join(dir, 'jobs.sqlite');
+    try {
+      writeFileSync(path, jobsSqlite(exportRows(run), new Date(NOW)));
+      const { DatabaseSync } = createRequire(import.meta.url)('node:sqlite');
+      const db = new DatabaseSync(path);
+      const goJobs = db.prepare(`
+        SELECT j.id, c.name AS company, js.confidence FROM jobs j
+        JOIN job_skills js ON js.job_id = j.id JOIN skills s ON s.id = js.skill_id
+        LEFT JOIN companies c ON c.id = j.company_id
+        WHERE s.name = 'Go' ORDER BY j.id`).all();
+      assert.deepEqual(goJobs.map(r => ({ ...r })), [
+        { id: '1', company: 'Acme', confidence: 0.95 },
+        { id: '2', company: null, confidence: 0.55 },
+      ]);
+      assert.equal(db.prepare("SELECT value FROM meta WHERE key = 'generatedAt'").get().value, '2026-03-01T22:04:00.000Z');
+      assert.equal(db.prepare('SELECT COUNT(*) AS n FROM companies').get().n, 1);
+      db.close();
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('README golden files', () => {
+  before(() => mock.timers.enable({ apis: ['Date'], now: NOW }));
+  after(() => mock.timers.reset());
+
+  test('fixture renders the expected README for every configured target', async () => {
+    const fetched = await readFixture(FIXTURE);
+    assert.equal(fetched.badLines, 1);
+    const { meta } = fetched;
+
+    const { targets, freshness } = loadConfig(CONFIG);
+    const runDate = new Date();
+    const { fresh: jobs, stale } = applyFreshness(dedupeJobs(validateJobs(fetched.jobs).accepted).jobs, freshness, runDate.getTime());
+    const groups = groupByRegion(jobs);
+    const runs = targets.map(t => planRun(t, jobs, groups, null, '1-Mar-2026 22:04 UTC', stale));
+
+    for (const run of runs) {
+      const files = renderRun(run, runs, groups, meta.companyLogos, [], runDate);
+      const readme = files.find(f => f.path === 'README.md');
+      assertGolden(`${run.target.id}.README.md`, readme.content);
+    }
+  });
+});
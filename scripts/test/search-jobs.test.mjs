@@ -0,0 +1,154 @@
+/**
+ * Tests for search-jobs.mjs — run with `node --test scripts/test/*.test.mjs`.
+ *
+ * Records come from the publisher fixture run through buildDataJson, so the search CLI is
+ * always exercised against the data/jobs.json shape the publisher actually writes.
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { tmpdir } from 'os';
+import { fileURLToPath } from 'url';
+
+import {
+  readFixture, validateJobs, dedupeJobs, buildDataJson, annualSalary, matchesSearch, loadSavedSearches,
+} from '../publish-github-jobs.mjs';
+import {
+  parseFilter, searchJobs, saveSearch, rawJobsUrl, resolveSources, loadRecords, formatTable, formatCsv,
+} from '../search-jobs.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const FIXTURE = join(__dirname, 'fixtures', 'jobs.ndjson');
+const NOW = Date.parse('2026-03-01T22:04:00.000Z');
+
+let records;
+before(async () => {
+  const { jobs } = await readFixture(FIXTURE);
+  records = buildDataJson(dedupeJobs(validateJobs(jobs).accepted).jobs);
+});
+
+describe('parseFilter', () => {
+  test('maps CLI flags onto publish.config.json filter keys', () => {
+    assert.deepEqual(parseFilter({
+      region: ['emea'], skill: ['Go'], seniority: ['Senior'], ats: ['lever'], country: ['de'],
+      'min-salary': '120000', 'verified-days': '2', title: 'backend',
+    }), {
+      regions: ['EMEA'], skills: ['Go'], seniority: ['Senior'], ats: ['lever'], countries: ['DE'],
+      minSalary: 120000, verifiedWithinDays: 2, title: 'backend',
+    });
+    assert.deepEqual(parseFilter({}), {});
+  });
+
+  test('rejects non-numeric thresholds', () => {
+    assert.throws(() => parseFilter({ 'min-salary': '120k' }), /--min-salary expects a non-negative number/);
+  });
+});
+
+describe('searchJobs', () => {
+  test('an empty filter matches every record, newest first', () => {
+    const all = searchJobs(records, {}, { now: NOW });
+    assert.equal(all.length, records.length);
+    const times = all.map(r => Date.parse(r.scrapedAt));
+    assert.deepEqual(times, [...times].sort((a, b) => b - a));
+  });
+
+  test('filters are case-insensitive and combine with AND', () => {
+    const goJobs = searchJobs(records, { skills: ['golang'] }, { now: NOW });
+    assert.ok(goJobs.length > 0);
+    assert.ok(goJobs.every(r => r.skills.some(s => s.name === 'Go')));
+    const senior = searchJobs(records, { seniority: ['senior'], regions: ['EMEA'] }, { now: NOW });
+    assert.ok(senior.length > 0);
+    assert.ok(senior.every(r => r.seniority === 'Senior' && r.region === 'EMEA'));
+  });
+
+  test('title words must all appear, in any order', () => {
+    assert.ok(matchesSearch({ title: 'Senior Backend Engineer' }, { title: 'engineer backend' }));
+    assert.ok(!matchesSearch({ title: 'Senior Backend Engineer' }, { title: 'frontend engineer' }));
+  });
+
+  test('minimum salary uses annual USD and ignores hourly and outlier figures', () => {
+    const hourly = records.find(r => r.salaryDetails?.period === 'hour');
+    assert.equal(annualSalary(hourly), 0);
+    const paid = searchJobs(records, { minSalary: 150000 }, { now: NOW });
+    assert.ok(paid.length > 0);
+    assert.ok(paid.every(r => annualSalary(r) >= 150000));
+  });
+
+  test('verified-within-days needs a recent verifiedAt', () => {
+    const recent = searchJobs(records, { verifiedWithinDays: 1 }, { now: NOW });
+    assert.ok(recent.length > 0);
+    assert.ok(recent.every(r => NOW - Date.parse(r.verifiedAt) <= 86_400_000));
+    assert.ok(!matchesSearch({ verifiedAt: null }, { verifiedWithinDays: 30 }, NOW));
+  });
+
+  test('salary sort puts the best-paid first', () => {
+    const [top] = searchJobs(records, {}, { sort: 'salary', now: NOW });
+    assert.equal(annualSalary(top), Math.max(...records.map(annualSalary)));
+  });
+});
+
+describe('saved searches', () => {
+  let dir;
+  before(() => { dir = mkdtempSync(join(tmpdir(), 'search-saved-')); });
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  test('save, reload and overwrite a named filter without losing other settings', () => {
+    const path = join(dir, 'saved-searches.json');
+    assert.deepEqual(loadSavedSearches(path), {});
+    saveSearch(path, 'go', { skills: ['Go'] });
+    assert.deepEqual(loadSavedSearches(path), { go: { filter: { skills: ['Go'] } } });
+
+    writeFileSync(path, JSON.stringify({ rust: { filter: { skills: ['Rust'] }, note: 'keep me' } }));
+    saveSearch(path, 'rust', { skills: ['Rust'], regions: ['EMEA'] });
+    assert.deepEqual(loadSavedSearches(path).rust, { filter: { skills: ['Rust'], regions: ['EMEA'] }, note: 'keep me' });
+  });
+});
+
+describe('sources', () => {
+  let dir;
+  before(() => { dir = mkdtempSync(join(tmpdir(), 'search-sources-')); });
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  const targets = () => [
+    { id: 'main', name: 'Main', url: 'https://github.com/o/main', path: join(dir, 'main') },
+    { id: 'emea', name: 'EMEA', url: 'https://github.com/o/emea', path: join(dir, 'emea') },
+  ];
+
+  test('defaults to every local clone, and --remote reads from GitHub', () => {
+    mkdirSync(join(dir, 'main', 'data'), { recursive: true });
+    writeFileSync(join(dir, 'main', 'data', 'jobs.json'), '[]');
+    assert.deepEqual(resolveSources({}, targets()), [join(dir, 'main', 'data', 'jobs.json')]);
+    assert.deepEqual(resolveSources({ remote: true, target: ['emea'] }, targets()), ['https://raw.githubusercontent.com/o/emea/main/data/jobs.json']);
+    assert.equal(rawJobsUrl(targets()[0]), 'https://raw.githubusercontent.com/o/main/main/data/jobs.json');
+    assert.throws(() => resolveSources({ target: ['emea'] }, targets()), /not found/);
+    assert.throws(() => resolveSources({ target: ['nope'] }, targets()), /Unknown target "nope"/);
+  });
+
+  test('merges files and keeps the first copy of a job published twice', async () => {
+    const a = join(dir, 'a.json');
+    const b = join(dir, 'b.json');
+    writeFileSync(a, JSON.stringify([{ id: '1', title: 'A' }, { id: '2', title: 'B' }]));
+    writeFileSync(b, JSON.stringify([{ id: '2', title: 'B (regional copy)' }, { id: '3', title: 'C' }]));
+    const merged = await loadRecords([a, b]);
+    assert.deepEqual(merged.map(r => r.title), ['A', 'B', 'C']);
+  });
+});
+
+describe('output formats', () => {
+  test('table hides teaser companies and truncates long cells', () => {
+    const table = formatTable(searchJobs(records, {}, { now: NOW }));
+    assert.match(table, /^Company\s+Role\s+Region/);
+    assert.match(table, /\(Pro only\)/);
+    assert.match(table, /…/);
+    assert.equal(formatTable([]), 'No matching jobs.\n');
+  });
+
+  test('csv quotes fields with commas and joins skills', () => {
+    const csv = formatCsv([{ id: '1', title: 'Engineer, "Platform"', skills: ['Go', 'SQL'] }]);
+    const [header, row] = csv.trim().split('\n');
+    assert.equal(header.split(',')[0], 'id');
+    assert.equal(row, '1,"Engineer, ""Platform""",,,,,,,Go; SQL,,,,,');
+  });
+});
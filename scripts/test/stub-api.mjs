@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+/**
+ * stub-api.mjs — Local stand-in for the wagey.gg /api/matching-data endpoint.
+ *
+ * Usage:
+ *   node scripts/test/stub-api.mjs                              # Serve the test fixture on :4343
+ *   node scripts/test/stub-api.mjs --port 4343 --fixture jobs.ndjson
+ *   node scripts/test/stub-api.mjs --churn 3                    # Re-verify 3 jobs and remove 1 per request
+ *   node scripts/test/stub-api.mjs --full-only                  # Ignore `since`, always send everything
+ *   API_BASE_URL=http://localhost:4343 node scripts/publish-github-jobs.mjs --dry-run
+ *
+ * Every change bumps a version; the cursor is "v<version>" and the ETag is "\"v<version>\"".
+ *   - If-None-Match with the current ETag → 304
+ *   - since=<cursor> → meta {mode: "delta", since, cursor, total} + changed jobs + {type: "removed", id}
+ *   - a cursor older than the retained change log (or unknown) → 410
+ *   - otherwise (or with fullOnly) → meta {mode: "full", cursor, total} + every job
+ * cutNext(n, chars) ends the next response after n lines and `chars` characters of the one after, as a
+ * dropped connection would.
+ *
+ * Tests drive it in-process through createStubApi().
+ */
+
+import http from 'http';
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { parseArgs } from 'util';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FIXTURE = join(__dirname, 'fixtures', 'jobs.ndjson');
+const CHANGE_LOG_LIMIT = 1000; // Changes kept for deltas — older cursors get 410
+
+/** Parse an NDJSON fixture → {jobs, meta}; malformed lines (the fixture has some on purpose) are skipped */
+function readNdjson(path) {
+  const records = readFileSync(path, 'utf-8').split('\n').flatMap(line => {
+    try {
+      return [JSON.parse(line)];
+    } catch {
+      return [];
+    }
+  });
+  return {
+    meta: records.find(r => r.type === 'meta') || { type: 'meta' },
+    jobs: records.filter(r => r.type === 'job').map(r => r.d),
+  };
+}
+
+/**
+ * In-memory API over `jobs`. upsert/remove mutate it like the real backend would;
+ * `requests` records each request's mode ("full", "delta", "not-modified", "gone") for assertions.
+ */
+function createStubApi({ jobs = [], meta = {}, fullOnly = false } = {}) {
+  const byId = new Map(jobs.map(j => [j.id, j]));
+  const changes = []; // [{version, id}] — newest last
+  const requests = [];
+  let version = 1;
+  let oldest = 1; // Earliest cursor still answerable from `changes`
+  let cut = null; // {lines, chars} the next response stops after (cutNext)
+
+  const cursor = () => `v${version}`;
+  const etag = () => `"${cursor()}"`;
+
+  function record(id) {
+    version++;
+    changes.push({ version, id });
+    if (changes.length > CHANGE_LOG_LIMIT) oldest = changes.shift().version;
+  }
+
+  function upsert(job) {
+    byId.set(job.id, job);
+    record(job.id);
+  }
+
+  function remove(id) {
+    if (byId.delete(id)) record(id);
+  }
+
+  /** Forget the change log, as if the backend had been redeployed — every old cursor now gets 410 */
+  function resetLog() {
+    changes.length = 0;
+    oldest = ++version;
+  }
+
+  function send(res, status, lines) {
+    let body = lines.map(l => JSON.stringify(l) + '\n').join('');
+    if (cut) {
+      const kept = lines.slice(0, cut.lines).map(l => JSON.stringify(l) + '\n').join('');
+      body = kept + body.slice(kept.length, kept.length + cut.chars);
+      cut = null;
+    }
+    res.writeHead(status, { 'content-type': 'application/x-ndjson', etag: etag() });
+    res.end(body);
+  }
+
+  function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== '/api/matching-data') {
+      res.writeHead(404).end('not found');
+      return;
+    }
+    const head = { ...meta, type: 'meta', generatedAt: new Date().toISOString(), cursor: cursor(), total: byId.size };
+
+    if (req.headers['if-none-match'] === etag()) {
+      requests.push('not-modified');
+      res.writeHead(304, { etag: etag() }).end();
+      return;
+    }
+
+    const since = url.searchParams.get('since');
+    if (since && !fullOnly) {
+      const from = Number(since.replace(/^v/, ''));
+      if (!(from >= oldest && from <= version)) {
+        requests.push('gone');
+        res.writeHead(410).end(`cursor ${since} expired`);
+        return;
+      }
+      const ids = new Set(changes.filter(c => c.version > from).map(c => c.id));
+      const changed = [...ids].filter(id => byId.has(id)).map(id => ({ type: 'job', d: byId.get(id) }));
+      const removed = [...ids].filter(id => !byId.has(id)).map(id => ({ type: 'removed', id }));
+      requests.push('delta');
+      send(res, 200, [{ ...head, mode: 'delta', since }, ...changed, ...removed]);
+      return;
+    }
+
+    requests.push('full');
+    send(res, 200, [{ ...head, mode: 'full' }, ...[...byId.values()].map(d => ({ type: 'job', d }))]);
+  }
+
+  const server = http.createServer(handle);
+  return {
+    server,
+    requests,
+    upsert,
+    remove,
+    resetLog,
+    cutNext(n, chars = 0) { cut = { lines: n, chars }; },
+    get jobs() { return [...byId.values()]; },
+    /** Listen on `port` (0 = any free port) → base URL */
+    listen(port = 0) {
+      return new Promise(resolve => server.listen(port, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+    },
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    },
+  };
+}
+
+/** CLI churn: re-verify `n` jobs round-robin and remove the oldest one */
+function churn(api, n, state) {
+  const jobs = api.jobs;
+  for (let i = 0; i < n && jobs.length > 0; i++) {
+    const job = jobs[state.next++ % jobs.length];
+    api.upsert({ ...job, verifiedAt: new Date().toISOString() });
+  }
+  if (n > 0 && jobs.length > 1) api.remove(jobs[jobs.length - 1].id);
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string', default: '4343' },
+      fixture: { type: 'string', default: DEFAULT_FIXTURE },
+      churn: { type: 'string', default: '0' },
+      'full-only': { type: 'boolean' },
+    },
+  });
+  const { jobs, meta } = readNdjson(values.fixture);
+  const api = createStubApi({ jobs, meta, fullOnly: values['full-only'] });
+  const churnPerRequest = Number(values.churn);
+  const state = { next: 0 };
+  if (churnPerRequest > 0) api.server.prependListener('request', () => churn(api, churnPerRequest, state));
+
+  const base = await api.listen(Number(values.port));
+  console.log(`Stub API serving ${jobs.length} jobs at ${base}/api/matching-data (${values['full-only'] ? 'full only' : 'full + delta'})`);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch(err => {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  });
+}
+
+export { createStubApi, readNdjson };